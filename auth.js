@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const User = require("./models/User");
+const ApiToken = require("./models/ApiToken");
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Scopes an API token can carry
+const SCOPES = ["generate", "gallery:write", "admin"];
+
+// Scopes a login session gets for each account role
+const ROLE_SCOPES = {
+  user: ["generate", "gallery:write"],
+  admin: SCOPES,
+};
+
+// API token secrets look like "pfp_<random>", which tells them apart from JWTs
+const API_TOKEN_PREFIX = "pfp_";
+
+// Constant-time string comparison for secrets
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Read a token from "Authorization: Bearer <token>" or the X-Admin-Token header
+function readToken(req) {
+  const header = req.get("authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  return req.get("x-admin-token") || null;
+}
+
+// Passwords are stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function accountsEnabled() {
+  return Boolean(config.auth.jwtSecret);
+}
+
+// Signed session token for a logged-in account
+function signSession(user) {
+  return jwt.sign({ sub: user._id.toString(), username: user.username, role: user.role }, config.auth.jwtSecret, {
+    expiresIn: config.auth.jwtExpiresIn,
+  });
+}
+
+function hashApiToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+// Create an API token; the secret is returned once and never stored
+async function createApiToken(user, { name, scopes, expiresAt }) {
+  const secret = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const token = await ApiToken.create({
+    userId: user._id,
+    name,
+    prefix: secret.slice(0, API_TOKEN_PREFIX.length + 6),
+    tokenHash: hashApiToken(secret),
+    scopes,
+    expiresAt,
+  });
+  return { token, secret };
+}
+
+class AuthError extends Error {}
+
+// Resolve a bearer token to { user, scopes, via } or throw AuthError
+async function resolveToken(token) {
+  const adminToken = config.auth.adminApiToken;
+  if (adminToken && safeEqual(token, adminToken)) {
+    return { user: null, scopes: SCOPES, via: "admin-token" };
+  }
+
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    const apiToken = await ApiToken.findOne({ tokenHash: hashApiToken(token) });
+    if (!apiToken || apiToken.revokedAt || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+      throw new AuthError("API token is invalid, expired or revoked.");
+    }
+    const user = await User.findById(apiToken.userId);
+    if (!user) throw new AuthError("API token is invalid, expired or revoked.");
+    // Admin scope only works while the account is still an admin
+    const scopes = apiToken.scopes.filter((scope) => ROLE_SCOPES[user.role].includes(scope));
+    ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+    return { user, scopes, via: "token", tokenId: apiToken._id.toString() };
+  }
+
+  if (!accountsEnabled()) throw new AuthError("Invalid token.");
+  let payload;
+  try {
+    payload = jwt.verify(token, config.auth.jwtSecret);
+  } catch (err) {
+    throw new AuthError(err.name === "TokenExpiredError" ? "Session expired." : "Invalid token.");
+  }
+  const user = await User.findById(payload.sub);
+  if (!user) throw new AuthError("Invalid token.");
+  return { user, scopes: ROLE_SCOPES[user.role], via: "session" };
+}
+
+// Express middleware: attach req.auth when a valid token is sent.
+// Requests without a token, or with an invalid or expired one, pass through anonymously
+// (req.auth = null) so public routes keep working; the reason is kept in req.authError
+// and reported by the require* guards below.
+async function authenticate(req, res, next) {
+  req.auth = null;
+  req.authError = null;
+  const token = readToken(req);
+  if (!token) return next();
+
+  try {
+    req.auth = await resolveToken(token);
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) {
+      req.authError = err.message;
+      return next();
+    }
+    (req.log || logger).error("Auth error", { err });
+    res.status(500).json({ error: "Failed to verify token." });
+  }
+}
+
+// 401 for a caller without valid credentials, naming the token problem when there was one
+function rejectUnauthenticated(req, res, message) {
+  return res.status(401).json({ error: req.authError || message });
+}
+
+function hasScope(req, scope) {
+  return Boolean(req.auth?.scopes.includes(scope));
+}
+
+// Express middleware requiring an authenticated caller with `scope`
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return rejectUnauthenticated(req, res, "Authorization required.");
+    }
+    if (!hasScope(req, scope)) {
+      return res.status(403).json({ error: `This token lacks the "${scope}" scope.` });
+    }
+    next();
+  };
+}
+
+// Express middleware requiring a logged-in account (session or API token)
+function requireAccount(req, res, next) {
+  if (!req.auth?.user) {
+    return rejectUnauthenticated(req, res, "Login required.");
+  }
+  next();
+}
+
+// Express middleware guarding admin routes: the ADMIN_API_TOKEN secret or an admin-scoped account
+function requireAdmin(req, res, next) {
+  if (!config.auth.adminApiToken && !accountsEnabled()) {
+    return res.status(503).json({ error: "Admin API is disabled." });
+  }
+  if (!req.auth) {
+    return rejectUnauthenticated(req, res, "Admin authorization required.");
+  }
+  if (!hasScope(req, "admin")) {
+    return res.status(403).json({ error: 'This token lacks the "admin" scope.' });
+  }
+  next();
+}
+
+module.exports = {
+  SCOPES,
+  ROLE_SCOPES,
+  safeEqual,
+  readToken,
+  hashPassword,
+  verifyPassword,
+  accountsEnabled,
+  signSession,
+  createApiToken,
+  authenticate,
+  rejectUnauthenticated,
+  hasScope,
+  requireScope,
+  requireAccount,
+  requireAdmin,
+};
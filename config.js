@@ -0,0 +1,279 @@
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const dotenv = require("dotenv");
+const { loadKeysFromEnv } = require("./keyPool");
+const { DEFAULT_RETRY_POLICY } = require("./retry");
+
+// Central configuration. Values come from, in increasing priority: the defaults below,
+// an optional JSON file named by CONFIG_FILE (same keys as the environment) and the environment
+// (including .env). Every setting is declared once here with its type, default and whether it
+// is required; modules read the typed `config` object instead of process.env.
+
+const MINUTE_MS = 60 * 1000;
+
+// Origins the frontend is served from; ALLOWED_ORIGINS replaces the list
+const DEFAULT_ALLOWED_ORIGINS = [
+  "https://pfp.zuleai.xyz",
+  "https://www.zuleai.xyz",
+  "https://zuleai.xyz",
+  "https://pfp-zule.vercel.app",
+];
+
+// [path in config, environment variable, type, options]
+//   types     string, int, number, boolean, list (comma-separated, or an array in the config file),
+//             proxy (Express "trust proxy": hop count, boolean or list of IPs / subnets), or an
+//             array of allowed string values
+//   options   default, required (true or a function of the loaded config), secret, min
+const SETTINGS = [
+  // Server
+  ["port", "PORT", "int", { default: 5000, min: 1 }],
+  ["mongoUri", "MONGO_URI", "string", { required: true, secret: true }],
+  ["trustProxy", "TRUST_PROXY", "proxy", { default: false }],
+  ["allowedOrigins", "ALLOWED_ORIGINS", "list", { default: DEFAULT_ALLOWED_ORIGINS }],
+  // Public address of this API, used for links in emails and local storage URLs; never taken from request headers
+  ["publicBaseUrl", "PUBLIC_BASE_URL", "string", {
+    default: "",
+    required: (c) => c.mail.transport === "smtp" || c.storage.backend === "local",
+  }],
+  ["logLevel", "LOG_LEVEL", ["debug", "info", "warn", "error"], { default: "info" }],
+
+  // Image storage
+  ["storage.backend", "STORAGE_BACKEND", ["cloudinary", "local", "s3"], { default: "cloudinary" }],
+  ["storage.cloudinary.cloudName", "CLOUDINARY_CLOUD_NAME", "string", { required: usesStorage("cloudinary") }],
+  ["storage.cloudinary.apiKey", "CLOUDINARY_API_KEY", "string", { required: usesStorage("cloudinary"), secret: true }],
+  ["storage.cloudinary.apiSecret", "CLOUDINARY_API_SECRET", "string", { required: usesStorage("cloudinary"), secret: true }],
+  ["storage.cloudinary.folder", "CLOUDINARY_FOLDER", "string", { default: "zule-pfps" }],
+  ["storage.local.directory", "LOCAL_STORAGE_DIR", "string", { default: path.join(__dirname, "uploads") }],
+  ["storage.s3.bucket", "S3_BUCKET", "string", { required: usesStorage("s3") }],
+  ["storage.s3.region", "S3_REGION", "string", {}],
+  ["storage.s3.endpoint", "S3_ENDPOINT", "string", {}],
+  ["storage.s3.accessKeyId", "S3_ACCESS_KEY_ID", "string", { secret: true }],
+  ["storage.s3.secretAccessKey", "S3_SECRET_ACCESS_KEY", "string", { secret: true }],
+  ["storage.s3.publicUrl", "S3_PUBLIC_URL", "string", {}],
+  ["storage.s3.prefix", "S3_PREFIX", "string", { default: "zule-pfps" }],
+
+  // Image generation
+  ["imageProvider.name", "IMAGE_PROVIDER", ["imagen", "mock"], { default: "imagen" }],
+  ["imageProvider.modelId", "IMAGEN_MODEL_ID", "string", { default: "imagen-3.0-generate-002" }],
+  ["imageProvider.referenceImages", "IMAGEN_REFERENCE_IMAGES", "boolean", { default: false }],
+  ["generation.maxAttempts", "GENERATION_MAX_ATTEMPTS", "int", { min: 1 }], // Defaults to twice the key count
+  ["generation.retryBaseMs", "GENERATION_RETRY_BASE_MS", "int", { default: DEFAULT_RETRY_POLICY.baseDelayMs, min: 0 }],
+  ["generation.retryMaxMs", "GENERATION_RETRY_MAX_MS", "int", { default: DEFAULT_RETRY_POLICY.maxDelayMs, min: 0 }],
+  ["generation.deadlineMs", "GENERATION_DEADLINE_MS", "int", { default: DEFAULT_RETRY_POLICY.deadlineMs, min: 1 }],
+  ["generation.draftTtlMs", "DRAFT_TTL_MS", "int", { default: 24 * 60 * MINUTE_MS, min: 1 }],
+  ["jobs.concurrency", "JOB_CONCURRENCY", "int", { default: 2, min: 1 }],
+  ["jobs.pollIntervalMs", "JOB_POLL_INTERVAL_MS", "int", { default: 1000, min: 1 }],
+
+  // Watermark defaults (the "default" profile) and extra profiles
+  ["watermark.logo", "WATERMARK_LOGO", "string", { default: "watermark_logo.png" }],
+  ["watermark.scale", "WATERMARK_SCALE", "number", { default: 0.4, min: 0 }],
+  ["watermark.maxWidth", "WATERMARK_MAX_WIDTH", "int", { default: 100, min: 1 }],
+  ["watermark.opacity", "WATERMARK_OPACITY", "number", { default: 0.7, min: 0 }],
+  ["watermark.margin", "WATERMARK_MARGIN", "int", { default: 10, min: 0 }],
+  ["watermark.profilesFile", "WATERMARK_PROFILES_FILE", "string", {}],
+
+  // Gallery
+  ["gallery.defaultLimit", "GALLERY_DEFAULT_LIMIT", "int", { default: 10, min: 1 }],
+  ["gallery.maxLimit", "GALLERY_MAX_LIMIT", "int", { default: 50, min: 1 }],
+  ["trending.refreshMs", "TRENDING_REFRESH_MS", "int", { default: 5 * MINUTE_MS, min: 1000 }],
+  ["trending.windowDays", "TRENDING_WINDOW_DAYS", "int", { default: 30, min: 1 }],
+
+  // Abuse protection
+  ["rateLimit.ipPerMinute", "RATE_LIMIT_IP_PER_MINUTE", "int", { default: 10, min: 1 }],
+  ["rateLimit.userPerMinute", "RATE_LIMIT_USER_PER_MINUTE", "int", { default: 5, min: 1 }],
+  ["rateLimit.dailyQuota", "DAILY_GENERATION_QUOTA", "int", { default: 20, min: 1 }],
+  ["moderation.blocklistFile", "BLOCKLIST_FILE", "string", {}],
+  ["moderation.reportAutoHideThreshold", "REPORT_AUTO_HIDE_THRESHOLD", "int", { default: 3, min: 1 }],
+
+  // Accounts and admin access
+  ["auth.adminApiToken", "ADMIN_API_TOKEN", "string", { secret: true }],
+  ["auth.jwtSecret", "JWT_SECRET", "string", { secret: true }],
+  ["auth.jwtExpiresIn", "JWT_EXPIRES_IN", "string", { default: "7d" }],
+  ["auth.requireGenerationToken", "REQUIRE_GENERATION_TOKEN", "boolean", { default: false }],
+
+  // Newsletter and mail
+  ["newsletter.tokenSecret", "NEWSLETTER_TOKEN_SECRET", "string", { secret: true }], // Falls back to JWT_SECRET
+  ["newsletter.confirmTtl", "NEWSLETTER_CONFIRM_TTL", "string", { default: "48h" }],
+  ["newsletter.unsubscribeTtl", "NEWSLETTER_UNSUBSCRIBE_TTL", "string", { default: "365d" }],
+  ["mail.transport", "MAILER", ["console", "file", "smtp"], { default: "console" }],
+  ["mail.from", "MAIL_FROM", "string", { default: "ZULE <no-reply@zuleai.xyz>" }],
+  ["mail.fileDir", "MAIL_FILE_DIR", "string", { default: path.join(os.tmpdir(), "pfp-backend-mail") }],
+  ["mail.smtp.url", "SMTP_URL", "string", { secret: true }],
+  ["mail.smtp.host", "SMTP_HOST", "string", { required: (c) => c.mail.transport === "smtp" && !c.mail.smtp.url }],
+  ["mail.smtp.port", "SMTP_PORT", "int", { default: 587, min: 1 }],
+  ["mail.smtp.secure", "SMTP_SECURE", "boolean", { default: false }],
+  ["mail.smtp.user", "SMTP_USER", "string", {}],
+  ["mail.smtp.pass", "SMTP_PASS", "string", { secret: true }],
+];
+
+function usesStorage(backend) {
+  return (c) => c.storage.backend === backend;
+}
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    this.problems = problems;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+// Convert a raw env/file value to the setting's type; returns { value } or { error }
+function coerce(raw, type, name) {
+  if (Array.isArray(type)) {
+    const match = type.find((option) => option === String(raw).toLowerCase());
+    return match ? { value: match } : { error: `${name} must be one of: ${type.join(", ")} (got "${raw}").` };
+  }
+  switch (type) {
+    case "int": {
+      const value = Number(raw);
+      return Number.isInteger(value) ? { value } : { error: `${name} must be an integer (got "${raw}").` };
+    }
+    case "number": {
+      const value = Number(raw);
+      return Number.isFinite(value) ? { value } : { error: `${name} must be a number (got "${raw}").` };
+    }
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      const text = String(raw).toLowerCase();
+      if (["true", "1", "yes"].includes(text)) return { value: true };
+      if (["false", "0", "no"].includes(text)) return { value: false };
+      return { error: `${name} must be true or false (got "${raw}").` };
+    }
+    case "list":
+      return {
+        value: (Array.isArray(raw) ? raw : String(raw).split(","))
+          .map((item) => String(item).trim())
+          .filter(Boolean),
+      };
+    case "proxy":
+      return coerceTrustProxy(raw, name);
+    default:
+      return { value: String(raw) };
+  }
+}
+
+// Names Express accepts in a "trust proxy" list besides addresses
+const PROXY_NAMES = ["loopback", "linklocal", "uniquelocal"];
+
+function isProxyAddress(entry) {
+  if (PROXY_NAMES.includes(entry)) return true;
+  const [address, prefix, ...rest] = entry.split("/");
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+  // IPv4 subnets may also be written with a netmask (10.0.0.0/255.0.0.0)
+  if (version === 4 && net.isIPv4(prefix)) return true;
+  return /^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128);
+}
+
+// TRUST_PROXY as Express expects it: a hop count, true/false, or a list of trusted addresses
+function coerceTrustProxy(raw, name) {
+  if (typeof raw === "boolean") return { value: raw };
+  const text = String(raw).trim().toLowerCase();
+  if (text === "true" || text === "false") return { value: text === "true" };
+  if (/^\d+$/.test(text)) return { value: Number(text) };
+
+  const entries = (Array.isArray(raw) ? raw : String(raw).split(",")).map((item) => String(item).trim()).filter(Boolean);
+  const invalid = entries.filter((entry) => !isProxyAddress(entry));
+  if (entries.length === 0 || invalid.length > 0) {
+    return {
+      error: `${name} must be a hop count, true/false or a list of IPs, subnets or ${PROXY_NAMES.join("/")} (got "${raw}").`,
+    };
+  }
+  return { value: entries };
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key] = node[key] || {};
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// Settings from the JSON file named by CONFIG_FILE; a file that cannot be used is reported
+// as a problem and skipped, so it shows up in the startup error with everything else
+function readConfigFile(file, problems) {
+  if (!file) return {};
+  try {
+    const values = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      problems.push(`CONFIG_FILE ${file} must contain a JSON object.`);
+      return {};
+    }
+    return values;
+  } catch (err) {
+    problems.push(`CONFIG_FILE ${file} could not be read: ${err.message}`);
+    return {};
+  }
+}
+
+// Build the typed config from `env` (and the file it names). Returns { config, problems }
+// without throwing for invalid values, so scripts can use the parts they need.
+function loadConfig(env = process.env) {
+  const config = {};
+  const problems = [];
+  const source = { ...readConfigFile(env.CONFIG_FILE, problems), ...env };
+
+  for (const [keyPath, name, type, options] of SETTINGS) {
+    let value = options.default;
+    if (!isBlank(source[name])) {
+      const result = coerce(source[name], type, name);
+      if (result.error) {
+        problems.push(result.error);
+      } else if (options.min !== undefined && result.value < options.min) {
+        problems.push(`${name} must be at least ${options.min} (got ${result.value}).`);
+      } else {
+        value = result.value;
+      }
+    }
+    setPath(config, keyPath, value);
+  }
+
+  // Local storage writes absolute URLs so gallery images load from any origin
+  config.storage.local.publicBaseUrl = config.publicBaseUrl;
+
+  // Gemini API keys are numbered: GEMINI_API_KEY_1..n
+  config.geminiKeys = loadKeysFromEnv(source);
+
+  for (const [, name, , options] of SETTINGS) {
+    const required = typeof options.required === "function" ? options.required(config) : options.required;
+    if (required && isBlank(source[name])) problems.push(`${name} is required.`);
+  }
+  if (config.imageProvider.name === "imagen" && config.geminiKeys.length === 0) {
+    problems.push("GEMINI_API_KEY_1 is required when IMAGE_PROVIDER is imagen.");
+  }
+
+  return { config, problems };
+}
+
+// Copy of the config with secrets masked, for the startup log
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  for (const [keyPath, , , options] of SETTINGS) {
+    if (!options.secret) continue;
+    const keys = keyPath.split(".");
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], copy);
+    const key = keys[keys.length - 1];
+    if (!isBlank(parent[key])) parent[key] = "[redacted]";
+  }
+  copy.geminiKeys = config.geminiKeys.map(({ name }) => ({ name, secret: "[redacted]" }));
+  return copy;
+}
+
+dotenv.config();
+const { config, problems } = loadConfig();
+
+// Throw a ConfigError listing every missing or invalid setting (called by the server at startup)
+function assertValidConfig() {
+  if (problems.length > 0) throw new ConfigError(problems);
+}
+
+module.exports = { SETTINGS, ConfigError, config, problems, loadConfig, redactConfig, assertValidConfig };
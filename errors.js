@@ -0,0 +1,50 @@
+// Error surfaced to API clients with a stable machine-readable code.
+// `message` is safe to show to users; `detail` is only for logs.
+class GenerationError extends Error {
+  constructor(code, message, { detail, cause } = {}) {
+    super(message);
+    this.name = "GenerationError";
+    this.code = code;
+    this.detail = detail || message;
+    if (cause) this.cause = cause;
+  }
+}
+
+const GENERIC_FAILURE_MESSAGE = "Failed to generate, watermark, or save image.";
+
+// Client-facing message for each error code
+const ERROR_MESSAGES = {
+  CONTENT_BLOCKED: "The request was blocked by the content safety filter. Try different wording.",
+  INVALID_PROMPT: "The image service rejected the request as invalid.",
+  QUOTA_EXHAUSTED: "Image generation quota is used up right now. Please try again later.",
+  UPSTREAM_UNAVAILABLE: "The image service is temporarily unavailable. Please try again later.",
+  UPSTREAM_TIMEOUT: "Image generation took too long. Please try again.",
+  NO_API_KEY: "Image generation is not configured.",
+  GENERATION_FAILED: GENERIC_FAILURE_MESSAGE,
+};
+
+// Provider failure reason -> client error code
+const REASON_CODES = {
+  CONTENT_BLOCKED: "CONTENT_BLOCKED",
+  BAD_REQUEST: "INVALID_PROMPT",
+  RATE_LIMITED: "QUOTA_EXHAUSTED",
+  UNAVAILABLE: "UPSTREAM_UNAVAILABLE",
+  NETWORK: "UPSTREAM_UNAVAILABLE",
+  TIMEOUT: "UPSTREAM_TIMEOUT",
+};
+
+function generationError(code, options) {
+  return new GenerationError(code, ERROR_MESSAGES[code] || GENERIC_FAILURE_MESSAGE, options);
+}
+
+// Build the client-facing error for a classified provider failure
+function errorForReason(reason, options) {
+  return generationError(REASON_CODES[reason] || "GENERATION_FAILED", options);
+}
+
+module.exports = {
+  GenerationError,
+  GENERIC_FAILURE_MESSAGE,
+  generationError,
+  errorForReason,
+};
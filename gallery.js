@@ -0,0 +1,190 @@
+const { config } = require("./config");
+const { findCategory } = require("./styles/miladyTraits");
+
+const DEFAULT_LIMIT = config.gallery.defaultLimit;
+const MAX_LIMIT = config.gallery.maxLimit;
+
+// Supported ?sort= values; `id` breaks ties so the order is always total
+const SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  id_desc: { field: "id", direction: -1 },
+  id_asc: { field: "id", direction: 1 },
+};
+
+class GalleryQueryError extends Error {}
+
+// Opaque cursor holding the sort value and gallery ID of the last item on a page
+function encodeCursor(item, sort) {
+  const value = item[sort.field];
+  return Buffer.from(
+    JSON.stringify({ v: value instanceof Date ? value.toISOString() : value, id: item.id })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isFinite(id)) throw new Error("bad id");
+    return { value: sort.field === "createdAt" ? new Date(v) : v, id };
+  } catch (err) {
+    throw new GalleryQueryError("Invalid cursor.");
+  }
+}
+
+// Condition selecting the items that come after the cursor in the given sort order
+function afterCursor(cursor, sort) {
+  const op = sort.direction === -1 ? "$lt" : "$gt";
+  if (sort.field === "id") return { id: { [op]: cursor.id } };
+  return {
+    $or: [
+      { [sort.field]: { [op]: cursor.value } },
+      { [sort.field]: cursor.value, id: { [op]: cursor.id } },
+    ],
+  };
+}
+
+function sortSpec(sort) {
+  return sort.field === "id"
+    ? { id: sort.direction }
+    : { [sort.field]: sort.direction, id: sort.direction };
+}
+
+// Build the gallery filter from ?style=, ?q= and ?trait.<Category>=<value> query params.
+// Hidden items are excluded unless `includeHidden` is set (admin moderation).
+function buildGalleryFilter(query, { includeHidden = false } = {}) {
+  const filter = { username: { $exists: true, $ne: null } }; // Ensure username exists
+  if (!includeHidden) filter.hidden = { $ne: true };
+
+  if (query.q) {
+    filter.$text = { $search: String(query.q).slice(0, 100) };
+  }
+
+  if (query.style) {
+    // Items saved before styles existed have no style field and are ZULE hats
+    filter.style = query.style === "zule" ? { $in: ["zule", null] } : String(query.style);
+  }
+
+  const traitFilters = Object.entries(query)
+    .filter(([key]) => key.startsWith("trait."))
+    .map(([key, value]) => {
+      const traitType = findCategory(key.slice(6))?.trait_type || key.slice(6);
+      // Numeric traits (e.g. Drip Score) are stored as numbers
+      const values = [String(value)];
+      if (value !== "" && Number.isFinite(Number(value))) values.push(Number(value));
+      return { traits: { $elemMatch: { trait_type: traitType, value: { $in: values } } } };
+    });
+  if (traitFilters.length > 0) filter.$and = traitFilters;
+
+  return filter;
+}
+
+// Parse the shared listing params: limit, sort, cursor, latest, page
+function parseListOptions(query) {
+  const sortName = query.sort || "newest";
+  const sort = SORTS[sortName];
+  if (!sort) {
+    throw new GalleryQueryError(`sort must be one of: ${Object.keys(SORTS).join(", ")}.`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  // Legacy page-number pagination, still used by older frontends
+  const page = !cursor && query.page ? Math.max(parseInt(query.page) || 1, 1) : null;
+
+  return {
+    sort,
+    sortName,
+    limit,
+    cursor,
+    page,
+    latest: query.latest === "true" || query.latest === "1",
+  };
+}
+
+// List gallery items. With `latest` set only each user's latest item is shown; that groups every
+// matching item before paging, so it is opt-in and the default pages straight over the sort indexes.
+// Returns { items, nextCursor, total? } (total only for legacy page requests).
+async function listGallery(GalleryItem, { filter, sort, limit, cursor, page, latest }) {
+  const pipeline = [{ $match: filter }];
+
+  if (latest) {
+    pipeline.push(
+      { $sort: { username: 1, id: -1 } },
+      { $group: { _id: "$username", doc: { $first: "$$ROOT" } } }, // Latest item per username
+      { $replaceRoot: { newRoot: "$doc" } }
+    );
+  }
+  if (cursor) pipeline.push({ $match: afterCursor(cursor, sort) });
+  pipeline.push({ $sort: sortSpec(sort) });
+  if (page) pipeline.push({ $skip: (page - 1) * limit });
+  pipeline.push({ $limit: limit + 1 }); // One extra item tells us whether there is a next page
+
+  const docs = await GalleryItem.aggregate(pipeline);
+  // Items saved before likes existed have no counter
+  const items = docs.slice(0, limit).map((item) => ({ ...item, likeCount: item.likeCount || 0 }));
+  const nextCursor = docs.length > limit ? encodeCursor(items[items.length - 1], sort) : null;
+
+  const result = { items, nextCursor };
+  if (page) {
+    const countPipeline = [{ $match: filter }];
+    if (latest) countPipeline.push({ $group: { _id: "$username" } });
+    countPipeline.push({ $count: "total" });
+    result.total = await GalleryItem.aggregate(countPipeline).then((r) => r[0]?.total || 0);
+  }
+  return result;
+}
+
+// Remix lineage of one item: its ancestors (parent first, up to the original) and every
+// remix below it down to `maxDepth` generations, each with its `depth` from the item.
+async function findLineage(GalleryItem, id, { maxDepth = 5, limit = MAX_LIMIT } = {}) {
+  const [lineage] = await GalleryItem.aggregate([
+    { $match: { id, hidden: { $ne: true } } },
+    {
+      $graphLookup: {
+        from: GalleryItem.collection.name,
+        startWith: "$parentId",
+        connectFromField: "parentId",
+        connectToField: "id",
+        as: "ancestors",
+        depthField: "depth",
+      },
+    },
+    {
+      $graphLookup: {
+        from: GalleryItem.collection.name,
+        startWith: "$id",
+        connectFromField: "id",
+        connectToField: "parentId",
+        as: "remixes",
+        maxDepth: maxDepth - 1,
+        depthField: "depth",
+      },
+    },
+  ]);
+  if (!lineage) return null;
+
+  // Hidden items stay in the chain being walked but are not shown
+  const { ancestors, remixes, ...item } = lineage;
+  const visibleRemixes = remixes.filter((doc) => !doc.hidden);
+  // $graphLookup depth starts at 0 for direct matches; report 1 for the parent and direct remixes
+  const byDepth = (a, b) => a.depth - b.depth || b.id - a.id;
+  return {
+    item,
+    ancestors: ancestors.filter((doc) => !doc.hidden).sort(byDepth).map((doc) => ({ ...doc, depth: doc.depth + 1 })),
+    remixes: visibleRemixes.sort(byDepth).slice(0, limit).map((doc) => ({ ...doc, depth: doc.depth + 1 })),
+    remixCount: visibleRemixes.length,
+  };
+}
+
+module.exports = {
+  SORTS,
+  GalleryQueryError,
+  encodeCursor,
+  decodeCursor,
+  buildGalleryFilter,
+  parseListOptions,
+  listGallery,
+  findLineage,
+  MAX_LIMIT,
+};
@@ -1,25 +1,71 @@
-// server.js
+const { config, redactConfig, assertValidConfig } = require("./config"); // Loads .env first
 const express = require("express");
 const cors = require("cors");
-const dotenv = require("dotenv");
 const mongoose = require("mongoose");
-const axios = require("axios");
-const cloudinary = require("cloudinary").v2;
-const { v4: uuidv4 } = require("uuid");
-const fs = require("fs/promises");
+const crypto = require("crypto");
 const path = require("path");
 const sharp = require("sharp");
+const GalleryItem = require("./models/GalleryItem");
+const Newsletter = require("./models/Newsletter");
+const Report = require("./models/Report");
+const Like = require("./models/Like");
+const User = require("./models/User");
+const ApiToken = require("./models/ApiToken");
+const { Job, createJobQueue, serializeJob } = require("./jobs");
+const { createGenerationPipeline } = require("./pipeline");
+const { sweepOrphans } = require("./tempFiles");
+const { createStorage } = require("./storage");
+const { CONTENT_TYPES, findVariant } = require("./variants");
+const { getStyle, listStyles, validateStyleInput, mergeInput } = require("./styles");
+const { TemplateError, listVersions, createVersion, activateVersion, rollback } = require("./promptTemplates");
+const { createProvider } = require("./providers");
+const { getProfile, listProfiles, resolveLogoPath, renderWatermark, sampleImage } = require("./watermark");
+const { createKeyPool } = require("./keyPool");
+const {
+  SCOPES,
+  ROLE_SCOPES,
+  hashPassword,
+  verifyPassword,
+  accountsEnabled,
+  signSession,
+  createApiToken,
+  authenticate,
+  rejectUnauthenticated,
+  hasScope,
+  requireScope,
+  requireAccount,
+  requireAdmin,
+} = require("./auth");
+const { DEFAULT_RETRY_POLICY } = require("./retry");
+const { validateInput, validationErrorResponse } = require("./validation");
+const { getCatalog, normalizeTraits, rollTraits } = require("./styles/miladyTraits");
+const { GalleryQueryError, buildGalleryFilter, parseListOptions, listGallery, findLineage } = require("./gallery");
+const { createRateLimiter, requestIdentities } = require("./rateLimit");
+const { REPORT_AUTO_HIDE_THRESHOLD, REPORT_REASONS, checkBlocklist } = require("./moderation");
+const { createTrendingFeed } = require("./trending");
+const { logger, requestContext } = require("./logger");
+const { registry, observeRequest } = require("./metrics");
+const { createMailer } = require("./mailer");
+const {
+  NewsletterTokenError,
+  tokenSecret,
+  signNewsletterToken,
+  verifyNewsletterToken,
+  confirmationEmail,
+  csvRow,
+} = require("./newsletter");
+
+// Fail fast with the full list of missing or invalid settings
+try {
+  assertValidConfig();
+} catch (err) {
+  logger.error("Invalid configuration", { problems: err.problems });
+  process.exit(1);
+}
+logger.info("Configuration loaded", { config: redactConfig(config) });
 
-dotenv.config();
 const app = express();
-const allowedOrigins = [
-  "https://pfp.zuleai.xyz",
-  "https://www.zuleai.xyz",
-  "https://zuleai.xyz",
-  "https://pfp.zuleai.xyz/",
-  "https://pfp-gbxgpnv6c-david-patricks-projects.vercel.app",
-  "https://pfp-zule.vercel.app",
-];
+const allowedOrigins = config.allowedOrigins;
 
 app.use(
   cors({
@@ -34,390 +80,1114 @@ app.use(
   })
 );
 
+// X-Request-Id, per-request logger (req.log), access log and HTTP latency metrics
+app.use(requestContext(observeRequest, { quietPaths: ["/healthz", "/readyz", "/metrics"] }));
+
 app.use(express.json());
 
-// MongoDB connection
-mongoose
-  .connect(process.env.MONGO_URI, {})
-  .then(() => console.log("✅ MongoDB Connected"))
-  .catch((err) => console.error("❌ MongoDB Error:", err));
-
-// Cloudinary config
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Mongoose schemas
-const GalleryItemSchema = new mongoose.Schema({
-  id: Number,
-  username: String,
-  inscription: String,
-  imageUrl: String,
-});
-const GalleryItem = mongoose.model("GalleryItem", GalleryItemSchema);
-
-// Newsletter subscription schema
-const NewsletterSchema = new mongoose.Schema({
-  email: {
-    type: String,
-    required: true,
-    unique: true, // Prevent duplicate emails
-    trim: true,
-    lowercase: true,
-    match: [/^\S+@\S+\.\S+$/, "Please enter a valid email address"], // Basic email validation
-  },
-  subscribedAt: {
-    type: Date,
-    default: Date.now,
-  },
-});
-const Newsletter = mongoose.model("Newsletter", NewsletterSchema);
+// Resolve session JWTs, API tokens and the admin token to req.auth (anonymous when absent or invalid)
+app.use(authenticate);
 
-// Function to shuffle an array (Fisher-Yates shuffle)
-function shuffleArray(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]]; // Swap elements
-  }
-  return array;
+// Behind a proxy (Render, Vercel, nginx) req.ip must come from X-Forwarded-For:
+// TRUST_PROXY=<hops>, true or a list of proxy IPs / subnets
+if (config.trustProxy) {
+  app.set("trust proxy", config.trustProxy);
 }
 
-// Initialize API keys from environment variables
-const geminiApiKeys = [];
-let keyIndex = 1;
-while (process.env[`GEMINI_API_KEY_${keyIndex}`]) {
-  geminiApiKeys.push(process.env[`GEMINI_API_KEY_${keyIndex}`]);
-  keyIndex++;
+// Per-IP / per-username request rates and daily generation quotas, stored in MongoDB
+const rateLimiter = createRateLimiter();
+const limitGenerations = rateLimiter.middleware();
+
+// Generation routes: a token with the "generate" scope is required when REQUIRE_GENERATION_TOKEN=true,
+// otherwise anonymous requests are allowed but a token without the scope is still refused
+function authorizeGeneration(req, res, next) {
+  if (req.auth || req.authError || config.auth.requireGenerationToken) {
+    return requireScope("generate")(req, res, next);
+  }
+  next();
 }
 
-// Shuffle the API keys array to start with a random key
-const shuffledApiKeys = shuffleArray([...geminiApiKeys]); // Create a copy and shuffle
-let currentApiKeyIndex = 0; // Keeps track of the current Gemini API key in use
-let geminiApiKey = shuffledApiKeys[currentApiKeyIndex];
-let currentApiKeyName = `GEMINI_API_KEY_${geminiApiKeys.indexOf(geminiApiKey) + 1}`;
-
-// Function to get the next API key (circular rotation)
-function getNextApiKey() {
-  currentApiKeyIndex = (currentApiKeyIndex + 1) % geminiApiKeys.length;
-  geminiApiKey = geminiApiKeys[currentApiKeyIndex];
-  currentApiKeyName = `GEMINI_API_KEY_${currentApiKeyIndex + 1}`;
-  return geminiApiKey;
+// MongoDB connection
+mongoose
+  .connect(config.mongoUri, {})
+  .then(async () => {
+    logger.info("MongoDB connected");
+    await GalleryItem.prepareIds().catch((err) => logger.error("Gallery ID preparation failed", { err }));
+    generationQueue.start();
+    trendingFeed.start();
+    setInterval(() => {
+      expireDrafts().catch((err) => logger.error("Draft expiry failed", { err }));
+    }, 10 * 60 * 1000).unref();
+  })
+  .catch((err) => logger.error("MongoDB connection failed", { err }));
+
+// Image storage ("cloudinary" by default, or "local" / "s3")
+const storage = createStorage(config.storage.backend);
+logger.info("Storage backend ready", { storage: storage.name });
+if (storage.name === "local") {
+  app.use(storage.urlPath, express.static(storage.directory, { maxAge: "7d" }));
 }
 
-// Function to generate the image with recursive retry logic
-async function generateImage(prompt, retries = 0, maxRetries = geminiApiKeys.length * 2) {
-  const MODEL_ID = "models/imagen-3.0-generate-002";
+// Pool of Gemini API keys (GEMINI_API_KEY_1..n) with health tracking and cooldowns
+const keyPool = createKeyPool(config.geminiKeys);
 
-  if (!geminiApiKey) {
-    console.error("No Gemini API key available.");
-    throw new Error("No API key available.");
-  }
+// Image generation provider ("imagen" by default, "mock" for offline runs)
+const imageProvider = createProvider(config.imageProvider.name, {
+  modelId: config.imageProvider.modelId,
+  referenceImages: config.imageProvider.referenceImages, // Send the parent image with remixes
+});
+logger.info("Image provider ready", { provider: imageProvider.name, model: imageProvider.model });
 
-  if (retries >= maxRetries) {
-    console.error("Max retries reached. Unable to generate image.");
-    throw new Error("Max retries reached. Unable to generate image.");
-  }
+// Retry policy for upstream generation (GENERATION_* settings)
+const retryPolicy = {
+  maxAttempts: config.generation.maxAttempts || Math.max(keyPool.size * 2, DEFAULT_RETRY_POLICY.maxAttempts),
+  baseDelayMs: config.generation.retryBaseMs,
+  maxDelayMs: config.generation.retryMaxMs,
+  deadlineMs: config.generation.deadlineMs,
+};
 
-  try {
-    console.info(`Using ${currentApiKeyName} to generate image...`);
-
-    const payload = {
-      instances: [{ prompt: prompt }],
-      parameters: {
-        sampleCount: 1,
-        personGeneration: "ALLOW_ADULT",
-        aspectRatio: "1:1",
-      },
-    };
+// Generate, watermark, upload and publish (storage and models are injected for offline tests)
+const {
+  processGenerationJob,
+  publishToGallery,
+  deleteCandidateAssets,
+  expireDrafts,
+} = createGenerationPipeline({
+  storage,
+  imageProvider,
+  keyPool,
+  retryPolicy,
+  draftTtlMs: config.generation.draftTtlMs, // How long unselected batch candidates are kept
+  GalleryItem,
+  Job,
+});
 
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/${MODEL_ID}:predict?key=${geminiApiKey}`,
-      payload,
-      { headers: { "Content-Type": "application/json" } }
-    );
+const MAX_BATCH_COUNT = 4;
 
-    const base64Data = response.data?.predictions?.[0]?.bytesBase64Encoded;
-    if (!base64Data) {
-      console.error(`No image returned from Gemini with ${currentApiKeyName}. Retrying...`);
-      getNextApiKey();
-      await new Promise(resolve => setTimeout(resolve, 1000)); // 1-second delay
-      return generateImage(prompt, retries + 1, maxRetries);
-    }
+// Generation queue (worker starts once MongoDB is connected)
+const generationQueue = createJobQueue({
+  handler: processGenerationJob,
+  concurrency: config.jobs.concurrency,
+  pollIntervalMs: config.jobs.pollIntervalMs,
+});
 
-    return Buffer.from(base64Data, "base64");
-
-  } catch (error) {
-    if (error.response && error.response.status === 429) {
-      console.error(`---${currentApiKeyName} limit exhausted (429), switching to the next API key...`);
-      getNextApiKey();
-      await new Promise(resolve => setTimeout(resolve, 1000)); // 1-second delay
-      return generateImage(prompt, retries + 1, maxRetries);
-    } else if (error.response && error.response.status === 503) {
-      console.error(`Service unavailable (503) with ${currentApiKeyName}. Retrying after delay...`);
-      await new Promise(resolve => setTimeout(resolve, 5000)); // 5-second delay
-      getNextApiKey();
-      return generateImage(prompt, retries + 1, maxRetries);
-    } else {
-      console.error(`Error generating image with ${currentApiKeyName}: ${error.message}`);
-      getNextApiKey();
-      await new Promise(resolve => setTimeout(resolve, 1000)); // 1-second delay
-      return generateImage(prompt, retries + 1, maxRetries);
-    }
+// Queue a generation for the given style and answer with the job ID.
+// Logged-in callers always generate under their account name.
+async function queueGeneration(style, body, res, { parentId, user } = {}) {
+  if (user) body = { ...body, username: user.username };
+  const { value: input, errors } = validateStyleInput(style, body);
+  const { value: options, errors: optionErrors } = validateInput(
+    { count: { type: "number", integer: true, minimum: 1, maximum: MAX_BATCH_COUNT } },
+    body
+  );
+  errors.push(...optionErrors);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse(errors));
   }
-}
 
-// Function to apply watermark (with 2x size increase)
-async function applyWatermark(imagePath, logoPath, outputPath) {
-  const image = sharp(imagePath);
-  const { width, height } = await image.metadata();
-  const logo = sharp(logoPath);
-  const logoMetadata = await logo.metadata();
-
-  const maxLogoWidth = 100; // Doubled from 50 to 100 (2x)
-  const targetLogoWidth = Math.min(Math.round(width * 0.4), maxLogoWidth); // Already adjusted to 0.4 (2x from 0.2)
-  const targetLogoHeight = Math.round(
-    (targetLogoWidth / logoMetadata.width) * logoMetadata.height
-  );
+  const blocked = checkBlocklist(input);
+  if (blocked.length > 0) {
+    return res.status(400).json({ error: "Request contains blocked content.", code: "CONTENT_BLOCKED", fields: blocked });
+  }
 
-  const resizedLogo = await logo
-    .resize(targetLogoWidth, targetLogoHeight, {
-      fit: "contain",
-      background: { r: 0, g: 0, b: 0, alpha: 0 },
-    })
-    .toBuffer();
+  try {
+    // Names of registered accounts can only be used by their owner
+    if (!user && input.username && (await User.exists({ usernameLower: input.username.toLowerCase() }))) {
+      return res.status(409).json({ error: "This username belongs to an account. Log in to generate as it." });
+    }
 
-  const padding = 10;
-  await image
-    .composite([
-      {
-        input: resizedLogo,
-        top: padding,
-        left: Math.max(0, width - targetLogoWidth - padding),
-        blend: "over",
-        opacity: 0.7,
-      },
-    ])
-    .toFile(outputPath);
+    const job = await generationQueue.enqueue(style.name, input, {
+      count: options.count || 1,
+      parentId,
+      userId: user?._id,
+      requestId: res.req.id, // Correlates the job's pipeline logs with this request
+    });
 
-  return outputPath;
+    res.status(202).json({
+      jobId: job.jobId,
+      style: job.style,
+      status: job.status,
+      count: job.count,
+      parentId: job.parentId ?? null,
+      statusUrl: `/api/jobs/${job.jobId}`,
+      message: "Image generation queued.",
+    });
+  } catch (err) {
+    res.req.log.error("Queue error", { err });
+    res.status(500).json({ error: "Failed to queue image generation." });
+  }
 }
 
-// Express route for generating the image
-app.post("/api/generate-image", async (req, res) => {
-  const { username, inscription, hatColor, gender, description, customColor } = req.body;
+// List the available avatar styles and their input schemas
+app.get("/api/styles", (req, res) => {
+  res.json({ styles: listStyles() });
+});
 
-const prompt = `
-Stylized Cartoon Avatar Featuring a Trucker Hat with a Custom Inscription
+// Express route for generating an image in a specific style
+app.post("/api/styles/:style/generate", authorizeGeneration, limitGenerations, async (req, res) => {
+  const style = getStyle(req.params.style);
+  if (!style) {
+    return res.status(404).json({ error: `Unknown style: ${req.params.style}` });
+  }
+  await queueGeneration(style, req.body, res, { user: req.auth?.user });
+});
 
-Overview:
-Generate a high-quality, digitally aesthetic profile picture (PFP) of a stylized cartoon avatar, wearing a trucker hat that prominently displays the inscription "${inscription}". The avatar must embody a modern, vibrant cartoon stylization with a playful vibe, avoiding any hyper-realistic human features. Ensure the avatar clearly reflects the specified gender "${gender}" through distinct visual traits. Introduce variety in the avatar's appearance to ensure each generated image is visually distinct while maintaining the specified style. Incorporate the following personalized attributes:
-- Hat Inscription: "${inscription}"
-- Hat Color: ${hatColor}
-- Gender: ${gender}
-- Description: ${description}
+// Original route shared by both former servers: a body with `traits` or `randomizeMissing` is a Milady request
+app.post("/api/generate-image", authorizeGeneration, limitGenerations, async (req, res) => {
+  const isMilady = req.body?.traits !== undefined || req.body?.randomizeMissing !== undefined;
+  const styleName = isMilady ? "milady" : "zule";
+  await queueGeneration(getStyle(styleName), req.body, res, { user: req.auth?.user });
+});
 
-Avatar Specifications:
+// Remaining generations for the caller's IP and optional ?username=
+app.get("/api/quota", async (req, res) => {
+  try {
+    const rules = await rateLimiter.usage(requestIdentities(req, req.query.username));
+    const daily = rules.filter((rule) => rule.quota);
+    const tightest = daily.sort((a, b) => a.remaining - b.remaining)[0];
+    res.json({
+      remaining: tightest?.remaining ?? null,
+      limit: tightest?.limit ?? null,
+      resetAt: tightest?.resetAt ?? null,
+      rules,
+    });
+  } catch (err) {
+    req.log.error("Quota error", { err });
+    res.status(500).json({ error: "Failed to fetch quota." });
+  }
+});
 
-Art Style: Stylized cartoon avatar with vibrant colors, bold outlines, and exaggerated features typical of high-quality cartoon PFPs (e.g., similar to modern NFT avatars or anime-inspired characters). The avatar must have a distinctly animated, non-human appearance with clean lines, simplified textures, and a whimsical vibe suitable for a lighthearted audience. Ensure each generated avatar has unique characteristics to avoid repetition in appearance.
+// Milady trait catalog: categories, allowed values and rarity weights
+app.get("/api/traits", (req, res) => {
+  res.json(getCatalog());
+});
 
-Gender Representation:
-- If Gender is "female": Emphasize traditionally feminine traits such as softer facial features (e.g., larger eyes with longer lashes, rounded jawline), and more delicate styling in hair and clothing (e.g., bows, frilled clothing edges). Use brighter or pastel color palettes where appropriate.
-- If Gender is "male": Emphasize traditionally masculine traits such as sharper facial features (e.g., angular jawline, smaller eyes with thicker eyebrows), and more rugged styling in hair and clothing (e.g., short hair, bolder patterns). Use darker or more neutral color palettes where appropriate.
-- If Gender is "neutral": Use a balanced mix of features, avoiding overly feminine or masculine traits (e.g., medium-sized eyes, neutral jawline, unisex clothing styles). Use a versatile color palette that avoids strong gender stereotypes.
-- Ensure the specified gender "${gender}" is clearly reflected in the avatar's design through these visual cues.
+// Roll a weighted-random Milady trait set, keeping any traits the client locked in
+app.post("/api/traits/random", (req, res) => {
+  const { value, errors } = validateInput(getStyle("milady").inputSchema, {
+    traits: req.body?.traits || [],
+  });
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse(errors));
+  }
 
-Expression: Randomize the expression to convey a playful mood. Options include: shy and slightly embarrassed (small, closed-mouth smile, wide eyes with a hint of nervousness, cartoon-style sweat drops), cheerful (big smile, sparkling eyes), or mischievous (smirking with one eye winking). Ensure the expression aligns with the playful vibe and complements the specified gender.
+  const { traits: locked, errors: catalogErrors } = normalizeTraits(value.traits || []);
+  if (catalogErrors.length > 0) {
+    return res.status(400).json(validationErrorResponse(catalogErrors));
+  }
+  res.json({ traits: rollTraits(locked) });
+});
 
-Eyes: Large, stylized eyes with thick outlines, bold white highlights, and a shiny, animated look to emphasize the cartoon aesthetic. Randomize the eye color between black, brown, blue, or green, and adjust the eye shape slightly (e.g., rounded for female, almond-shaped for male, or neutral for non-binary) to reflect the gender and enhance the chosen expression.
+// Publish one candidate of a batch generation to the gallery: body { index }
+app.post("/api/generations/:id/select", async (req, res) => {
+  const index = req.body?.index;
+  if (!Number.isInteger(index)) {
+    return res.status(400).json(validationErrorResponse([{ field: "index", message: "index must be an integer." }]));
+  }
 
-Hair: Randomize the hair style and color for variety, while aligning with the specified gender. 
-- For "female": Options include two pigtails, a single ponytail, loose wavy hair, or long bangs, with colors like black, brown, blonde, pink, or purple.
-- For "male": Options include short spiky hair, a side part, or a short messy cut, with colors like black, brown, blonde, blue, or green.
-- For "neutral": Options include a medium-length bob, tousled hair, or a single braid, with colors like black, brown, blonde, teal, or silver.
-- Ensure the hair design enhances the cartoon style, uses bold highlights, simplified shading, and varies between generations.
+  try {
+    // Drafts generated by an account can only be published by that account
+    const owner = await Job.findOne({ jobId: req.params.id }, { userId: 1 }).lean();
+    if (owner?.userId && !req.auth && req.authError) {
+      return rejectUnauthenticated(req, res, "Login required.");
+    }
+    if (owner?.userId && !(req.auth?.user?._id.equals(owner.userId) && hasScope(req, "gallery:write"))) {
+      return res.status(403).json({ error: "Only the account that generated these drafts can publish one." });
+    }
 
-Skin Tone: Randomize the skin tone between pale, medium, or tan complexion, using smooth, vibrant cartoon shading (e.g., flat colors with subtle gradients). Add a quirky detail like a small cross-shaped mark, freckles, or a star-shaped mark on the cheek for a playful appearance, ensuring it aligns with the gender (e.g., star for female, freckles for male, cross for neutral).
+    // Claim the selection atomically so a generation can only be published once,
+    // and only while its drafts have not expired (expireDrafts may be deleting them)
+    const job = await Job.findOneAndUpdate(
+      {
+        jobId: req.params.id,
+        status: "done",
+        count: { $gt: 1 },
+        selectedIndex: null,
+        draftsDeleted: false,
+        draftsExpireAt: { $gt: new Date() },
+        "candidates.index": index,
+      },
+      { $set: { selectedIndex: index } },
+      { new: true }
+    );
+    if (!job) {
+      const existing = await Job.findOne({ jobId: req.params.id });
+      if (!existing) return res.status(404).json({ error: "Generation not found." });
+      if (existing.selectedIndex != null) return res.status(409).json({ error: "A candidate was already selected." });
+      if (existing.draftsDeleted || existing.draftsExpireAt <= new Date()) {
+        return res.status(410).json({ error: "These drafts have expired." });
+      }
+      return res.status(400).json({ error: "This generation has no such candidate to select." });
+    }
 
-Clothing: Randomize the clothing style while keeping it modern and casual in a simplified cartoon design with bold outlines and minimal texture details, reflecting the specified gender.
-- For "female": Options include a dark-colored collared shirt with frilled edges, a graphic tee with a floral pattern, or a pastel hoodie (e.g., pink, lavender).
-- For "male": Options include a dark-colored collared shirt with a bold stripe, a graphic tee with a geometric pattern, or a rugged hoodie (e.g., navy, green).
-- For "neutral": Options include a simple collared shirt, a graphic tee with a minimalist design, or a hoodie in a neutral color (e.g., gray, white).
-- Ensure the clothing aligns with a whimsical, approachable character and varies between generations.
+    const style = getStyle(job.style);
+    const candidate = job.candidates.find((c) => c.index === index);
+    if (!style.gallery.enabled) {
+      return res.json({ imageUrl: candidate.imageUrl, variants: candidate.variants, galleryItem: null });
+    }
 
-Accessories:
-- Hat: Trucker-style cap in ${hatColor}, featuring a mesh back and a prominent front panel. The inscription "${inscription}" must be displayed in its entirety on the front panel in a bold, legible font. Use a high-contrast color (e.g., black font for light hats, white font for dark hats) to ensure readability. Adjust the font size dynamically to fit the entire inscription without truncation, distortion, or partial rendering. If the inscription is longer than 10 characters, wrap the text across multiple lines (up to 2 lines) to ensure all characters are visible, maintaining even spacing and centering the text on the front panel. For example, an inscription like "PUMP ZULLE NOW" should be fully displayed, potentially as "PUMP ZULLE" on the first line and "NOW" on the second line, depending on length. Ensure the text occupies the majority of the front panel, is clear, and remains undistorted regardless of the inscription length.
-- Random Accessory: Include one randomized accessory to add variety, aligning with the gender. 
-  - For "female": Options include a cartoon-style safety pin near the hair, small star-shaped earrings, or a tiny bow on the hair.
-  - For "male": Options include a small stud earring, a wristband, or a tiny scarf around the neck.
-  - For "neutral": Options include a simple choker necklace, a minimalist pin on the shirt, or a hair clip.
-  - Use simplified designs and bold outlines to enhance the quirky aesthetic.
+    try {
+      const galleryItem = await publishToGallery(style, job.input, candidate, job);
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { galleryItemId: galleryItem.id, imageUrl: candidate.imageUrl, variants: candidate.variants } }
+      );
+      res.json({ imageUrl: candidate.imageUrl, variants: candidate.variants, galleryItem });
+    } catch (err) {
+      // Release the claim so the user can try again
+      await Job.updateOne({ _id: job._id }, { $set: { selectedIndex: null } });
+      throw err;
+    }
+  } catch (err) {
+    req.log.error("Select error", { err });
+    res.status(500).json({ error: "Failed to publish the selected image." });
+  }
+});
+
+// Poll the status of a generation job
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = await generationQueue.findJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found." });
+    }
+    res.json(serializeJob(job));
+  } catch (err) {
+    req.log.error("Job lookup error", { err });
+    res.status(500).json({ error: "Failed to fetch job status." });
+  }
+});
+
+// Accounts: registration and login issue a session JWT (requires JWT_SECRET)
+const credentialsSchema = {
+  username: {
+    type: "string",
+    required: true,
+    minLength: 3,
+    maxLength: 40,
+    pattern: /^[A-Za-z0-9_.-]+$/,
+    patternMessage: "may only contain letters, digits, '_', '.' and '-'.",
+  },
+  password: { type: "string", required: true, minLength: 8, maxLength: 200 },
+};
 
-Background:
-- Solid black backdrop with minimal digital glitch effects and faint, floating pixel particles in soft sky-blue (#5CEFFF) tones to evoke a modern, digital aesthetic.
-- Ensure the background remains understated, keeping the avatar as the focal point without distracting from the character or hat.
+const registerSchema = {
+  ...credentialsSchema,
+  email: { type: "string", maxLength: 200, pattern: /^\S+@\S+\.\S+$/, patternMessage: "must be a valid email address." },
+};
 
-Critical Requirements:
-- The avatar must be a stylized cartoon with exaggerated, animated features (e.g., large eyes, bold outlines, vibrant colors), explicitly avoiding any hyper-realistic human traits such as photorealistic skin textures or lifelike proportions.
-- Use a style similar to modern NFT avatars or anime-inspired characters to ensure a distinctly cartoonish appearance, but ensure each avatar is visually distinct by randomizing features like hair, expression, clothing, and accessories.
-- The hat inscription must exactly match "${inscription}" in its entirety, displayed prominently and legibly on the trucker hat’s front panel with no truncation, distortion, or partial rendering. For longer inscriptions, wrap the text across multiple lines as needed to ensure full visibility.
-- Exclude any additional logos, characters, or text beyond the specified inscription.
-- Ensure the composition prioritizes the avatar’s face and hat, with the background enhancing but not overpowering the subject.
-- Ensure the avatar's gender "${gender}" is accurately represented through clear visual cues in facial features, hair, clothing, and accessories.
-`.trim();
+function requireAccountsEnabled(req, res, next) {
+  if (!accountsEnabled()) {
+    return res.status(503).json({ error: "Accounts are disabled." });
+  }
+  next();
+}
 
-  let filePath, watermarkedFilePath;
+app.post("/api/auth/register", requireAccountsEnabled, async (req, res) => {
+  const { value, errors } = validateInput(registerSchema, req.body);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse(errors));
+  }
 
   try {
-    // Generate the image using the recursive function
-    const imageBuffer = await generateImage(prompt);
-
-    // Save the generated image
-    const fileName = `generated_image_${uuidv4()}.png`;
-    filePath = path.join(__dirname, fileName);
-    await fs.writeFile(filePath, imageBuffer);
+    const user = await User.create({
+      username: value.username,
+      usernameLower: value.username.toLowerCase(),
+      email: value.email,
+      passwordHash: await hashPassword(value.password),
+    });
+    res.status(201).json({ token: signSession(user), user: user.toPublic() });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "This username is already taken." });
+    }
+    req.log.error("Register error", { err });
+    res.status(500).json({ error: "Failed to create account." });
+  }
+});
 
-    // Apply watermark
-    const logoPath = path.join(__dirname, "watermark_logo.png");
-    const watermarkedFileName = `watermarked_${fileName}`;
-    watermarkedFilePath = path.join(__dirname, watermarkedFileName);
+app.post("/api/auth/login", requireAccountsEnabled, async (req, res) => {
+  const { value, errors } = validateInput(
+    { username: { type: "string", required: true }, password: { type: "string", required: true } },
+    req.body
+  );
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse(errors));
+  }
 
-    try {
-      await fs.access(logoPath);
-    } catch (err) {
-      console.error("❌ Logo file not found:", logoPath);
-      await fs.unlink(filePath).catch(() => {});
-      return res.status(500).json({ error: "Logo file not found." });
+  try {
+    const user = await User.findOne({ usernameLower: value.username.toLowerCase() });
+    if (!user || !(await verifyPassword(value.password, user.passwordHash))) {
+      return res.status(401).json({ error: "Invalid username or password." });
     }
+    await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+    res.json({ token: signSession(user), user: user.toPublic() });
+  } catch (err) {
+    req.log.error("Login error", { err });
+    res.status(500).json({ error: "Failed to log in." });
+  }
+});
 
-    await applyWatermark(filePath, logoPath, watermarkedFilePath);
+// The account behind the current session or API token
+app.get("/api/auth/me", requireAccount, (req, res) => {
+  res.json({ user: req.auth.user.toPublic(), scopes: req.auth.scopes, via: req.auth.via });
+});
 
-    // Upload to Cloudinary
-    const uploadResult = await cloudinary.uploader.upload(watermarkedFilePath, {
-      folder: "zule-pfps",
-      public_id: path.parse(watermarkedFileName).name,
-    });
+// API tokens of the logged-in account. Tokens are managed from a login session only,
+// so a leaked API token cannot mint new ones.
+function requireSession(req, res, next) {
+  if (req.auth?.via !== "session") {
+    return rejectUnauthenticated(req, res, "Log in to manage API tokens.");
+  }
+  next();
+}
 
-    // Clean up local files
-    try {
-      await fs.unlink(filePath);
-      await fs.unlink(watermarkedFilePath);
-    } catch (cleanupErr) {
-      console.error("❌ Cleanup Error:", cleanupErr.message);
-    }
+app.get("/api/tokens", requireSession, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.auth.user._id }).sort({ createdAt: -1 });
+    res.json({ tokens: tokens.map((token) => token.toPublic()) });
+  } catch (err) {
+    req.log.error("Token list error", { err });
+    res.status(500).json({ error: "Failed to list API tokens." });
+  }
+});
 
-    // Save to database
-    const lastItem = await GalleryItem.findOne().sort({ id: -1 });
-    const nextId = lastItem ? lastItem.id + 1 : 1;
+// Create an API token: body { name, scopes, expiresInDays? }. The secret is only shown in this response.
+app.post("/api/tokens", requireSession, async (req, res) => {
+  const allowedScopes = ROLE_SCOPES[req.auth.user.role];
+  const { value, errors } = validateInput(
+    {
+      name: { type: "string", required: true, maxLength: 60, sanitize: true },
+      scopes: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        maxItems: SCOPES.length,
+        items: { type: "string", enum: allowedScopes },
+      },
+      expiresInDays: { type: "number", integer: true, minimum: 1, maximum: 365 },
+    },
+    req.body
+  );
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse(errors));
+  }
 
-    const newItem = await GalleryItem.create({
-      id: nextId,
-      username: username,
-      inscription: inscription,
-      imageUrl: uploadResult.secure_url,
+  try {
+    const { token, secret } = await createApiToken(req.auth.user, {
+      name: value.name,
+      scopes: [...new Set(value.scopes)],
+      expiresAt: value.expiresInDays ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000) : undefined,
     });
+    res.status(201).json({ ...token.toPublic(), token: secret });
+  } catch (err) {
+    req.log.error("Token create error", { err });
+    res.status(500).json({ error: "Failed to create API token." });
+  }
+});
 
-    res.json({
-      imageUrl: uploadResult.secure_url,
-      message: "Image generated, watermarked, and saved.",
-      galleryItem: newItem,
-    });
+// Revoke an API token of the logged-in account
+app.delete("/api/tokens/:id", requireSession, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "API token not found." });
+  }
 
-  } catch (err) {
-    console.error("❌ Error:", err.message);
-    try {
-      if (filePath) await fs.unlink(filePath);
-      if (watermarkedFilePath) await fs.unlink(watermarkedFilePath);
-    } catch (cleanupErr) {
-      console.error("❌ Cleanup Error:", cleanupErr.message);
+  try {
+    const token = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.auth.user._id },
+      { $min: { revokedAt: new Date() } }, // Keep the first revocation time
+      { new: true }
+    );
+    if (!token) {
+      return res.status(404).json({ error: "API token not found." });
     }
-    res.status(500).json({ error: "Failed to generate, watermark, or save image." });
+    res.json(token.toPublic());
+  } catch (err) {
+    req.log.error("Token revoke error", { err });
+    res.status(500).json({ error: "Failed to revoke API token." });
   }
 });
 
-// Newsletter subscription route
+// Newsletter mail transport ("console" by default, or "file" / "smtp")
+const mailer = createMailer(config.mail.transport);
+const mailFrom = config.mail.from;
+
+// Absolute link to an API route, for emails. Built from PUBLIC_BASE_URL only (required with SMTP),
+// so a forged Host header cannot point the links elsewhere; local mailers fall back to localhost.
+function apiUrl(route) {
+  const base = config.publicBaseUrl || `http://localhost:${config.port}`;
+  return `${base.replace(/\/$/, "")}${route}`;
+}
+
+async function sendConfirmation(email) {
+  const confirmUrl = apiUrl(`/api/newsletter/confirm?token=${signNewsletterToken(email, "confirm")}`);
+  const unsubscribeUrl = apiUrl(`/api/newsletter/unsubscribe?token=${signNewsletterToken(email, "unsubscribe")}`);
+  await mailer.send({ from: mailFrom, ...confirmationEmail({ to: email, confirmUrl, unsubscribeUrl }) });
+  await Newsletter.updateOne({ email }, { $set: { confirmationSentAt: new Date() } });
+}
+
+// Confirmation emails are resent at most this often for the same address
+const CONFIRMATION_RESEND_MS = 5 * 60 * 1000;
+
+// Newsletter subscription route: body { email, source? }. The subscription stays pending
+// until the link in the confirmation email is opened.
 app.post("/api/newsletter", async (req, res) => {
-  const { email } = req.body;
+  const { email: rawEmail, source } = req.body || {};
 
   // Basic validation
-  if (!email) {
+  if (!rawEmail) {
     return res.status(400).json({ error: "Email is required." });
   }
-  if (!/^\S+@\S+\.\S+$/.test(email)) {
+  if (typeof rawEmail !== "string" || !/^\S+@\S+\.\S+$/.test(rawEmail)) {
     return res
       .status(400)
       .json({ error: "Please enter a valid email address." });
   }
+  if (!tokenSecret()) {
+    return res.status(503).json({ error: "Newsletter signups are disabled." });
+  }
+  const email = rawEmail.trim().toLowerCase();
 
   try {
     // Check if email already exists
-    const existingSubscription = await Newsletter.findOne({
-      email: email.toLowerCase(),
-    });
-    if (existingSubscription) {
+    const existingSubscription = await Newsletter.findOne({ email });
+    const status = existingSubscription?.status;
+    if (existingSubscription && status !== "pending" && status !== "unsubscribed") {
       return res
         .status(409)
         .json({ error: "This email is already subscribed." });
     }
 
-    // Create new subscription
-    const newSubscription = await Newsletter.create({ email });
+    if (!existingSubscription) {
+      await Newsletter.create({
+        email,
+        status: "pending",
+        source: typeof source === "string" ? source.slice(0, 60) : undefined,
+      });
+    } else if (status === "unsubscribed") {
+      await Newsletter.updateOne(
+        { _id: existingSubscription._id },
+        { $set: { status: "pending", subscribedAt: new Date() }, $unset: { unsubscribedAt: 1, confirmedAt: 1 } }
+      );
+    }
+
+    const recentlySent =
+      status === "pending" &&
+      existingSubscription.confirmationSentAt > new Date(Date.now() - CONFIRMATION_RESEND_MS);
+    if (!recentlySent) await sendConfirmation(email);
+
     res
-      .status(201)
-      .json({ message: "Successfully subscribed to the newsletter!" });
+      .status(existingSubscription ? 200 : 201)
+      .json({ message: "Almost done! Check your inbox to confirm your subscription." });
   } catch (err) {
-    console.error("❌ Newsletter Error:", err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "This email is already subscribed." });
+    }
+    req.log.error("Newsletter error", { err });
     res.status(500).json({ error: "Failed to subscribe. Please try again." });
   }
 });
 
+// Confirm a pending subscription from the emailed link: ?token=
+app.get("/api/newsletter/confirm", async (req, res) => {
+  try {
+    const email = verifyNewsletterToken(req.query.token, "confirm");
+    const subscription = await Newsletter.findOneAndUpdate(
+      { email, status: "pending" },
+      { $set: { status: "confirmed", confirmedAt: new Date() } },
+      { new: true }
+    );
+    if (!subscription) {
+      const existing = await Newsletter.findOne({ email });
+      if (!existing || existing.status === "unsubscribed") {
+        return res.status(404).json({ error: "No pending subscription for this email." });
+      }
+    }
+    res.json({ message: "Your subscription is confirmed. Welcome to the ZULE newsletter!" });
+  } catch (err) {
+    if (err instanceof NewsletterTokenError) {
+      return res.status(400).json({ error: err.message });
+    }
+    req.log.error("Newsletter confirm error", { err });
+    res.status(500).json({ error: "Failed to confirm subscription." });
+  }
+});
+
+// Leave the newsletter from the emailed link: ?token=
+app.get("/api/newsletter/unsubscribe", async (req, res) => {
+  try {
+    const email = verifyNewsletterToken(req.query.token, "unsubscribe");
+    await Newsletter.updateOne(
+      { email, status: { $ne: "unsubscribed" } },
+      { $set: { status: "unsubscribed", unsubscribedAt: new Date() } }
+    );
+    res.json({ message: "You have been unsubscribed from the ZULE newsletter." });
+  } catch (err) {
+    if (err instanceof NewsletterTokenError) {
+      return res.status(400).json({ error: err.message });
+    }
+    req.log.error("Newsletter unsubscribe error", { err });
+    res.status(500).json({ error: "Failed to unsubscribe." });
+  }
+});
+
 // Root endpoint
 app.get("/", (req, res) => {
-  console.log("API accessed");
   res.send("Welcome to the ZULE PFP image generation API!");
 });
 
 // Get community gallery
 
+// Send a gallery listing, answering 400 for bad query params
+async function sendGalleryList(res, filter, query) {
+  try {
+    const options = parseListOptions(query);
+    res.json(await listGallery(GalleryItem, { filter, ...options }));
+  } catch (err) {
+    if (err instanceof GalleryQueryError) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.req.log.error("Gallery error", { err });
+    res.status(500).json({ error: "Failed to fetch gallery." });
+  }
+}
+
+// Community gallery: ?limit=&cursor=&sort=newest|oldest|id_desc|id_asc&q=&latest=true&style=&trait.<Category>=
 app.get("/api/gallery", async (req, res) => {
+  await sendGalleryList(res, buildGalleryFilter(req.query), req.query);
+});
+
+// Full generation history of one user, newest first by default
+app.get("/api/gallery/users/:username", async (req, res) => {
+  const filter = { ...buildGalleryFilter(req.query), username: req.params.username };
+  await sendGalleryList(res, filter, { ...req.query, latest: "false" });
+});
+
+// Stored input of a gallery item; items from before remixes existed only kept a few fields.
+// The original author's name is left out: a remix is credited only to the remixer.
+function remixBase(item) {
+  if (item.input) {
+    const base = { ...item.input };
+    delete base.username;
+    return base;
+  }
+  const base = {};
+  if ((item.style || "zule") === "zule") base.inscription = item.inscription;
+  if (item.traits?.length) base.traits = item.traits.map(({ trait_type, value }) => ({ trait_type, value }));
+  return base;
+}
+
+// Trending feed for the landing page: ?limit=<1-100>, ranked by time-decayed likes and views
+const trendingFeed = createTrendingFeed(GalleryItem);
+
+app.get("/api/gallery/trending", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = 10;
-    const skip = (page - 1) * limit;
-
-    // Use aggregation to remove duplicates based on username
-    const total = await GalleryItem.aggregate([
-      { $match: { username: { $exists: true, $ne: null } } }, // Ensure username exists
-      { $group: { _id: "$username", count: { $sum: 1 } } }, // Group by username
-      { $count: "total" }, // Count unique usernames
-    ]).then(result => result[0]?.total || 0); // Extract total or default to 0
-
-    // Fetch unique items, keeping the first occurrence of each username
-    const items = await GalleryItem.aggregate([
-      { $match: { username: { $exists: true, $ne: null } } }, // Ensure username exists
-      { $sort: { id: -1 } }, // Sort by id descending
-      { $group: { 
-          _id: "$username", 
-          doc: { $first: "$$ROOT" } // Keep the first document for each username
+    res.json(await trendingFeed.get(limit));
+  } catch (err) {
+    req.log.error("Trending error", { err });
+    res.status(500).json({ error: "Failed to fetch trending gallery items." });
+  }
+});
+
+// Gallery IDs are positive integers; anything else cannot match an item
+function galleryItemId(req, res, next) {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: "Gallery item not found." });
+  }
+  next();
+}
+
+// One gallery item; every fetch counts as a view
+app.get("/api/gallery/:id", galleryItemId, async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const item = await GalleryItem.findOneAndUpdate(
+      { id, hidden: { $ne: true } },
+      { $inc: { viewCount: 1 } },
+      { new: true }
+    ).lean();
+    if (!item) {
+      return res.status(404).json({ error: "Gallery item not found." });
+    }
+    const liked = await Like.exists({ itemId: id, likerKey: likerKey(req) });
+    res.json({ ...item, likeCount: item.likeCount || 0, liked: Boolean(liked) });
+  } catch (err) {
+    req.log.error("Gallery item error", { err });
+    res.status(500).json({ error: "Failed to fetch gallery item." });
+  }
+});
+
+// Likes are counted once per account, or per device for anonymous visitors.
+// The frontend sends a random, persistent X-Device-Id; IP and user agent are the fallback.
+function likerKey(req) {
+  if (req.auth?.user) return `user:${req.auth.user._id}`;
+  const device = req.get("x-device-id") || `${req.ip}|${req.get("user-agent") || ""}`;
+  return `device:${crypto.createHash("sha256").update(device).digest("hex")}`;
+}
+
+async function setLiked(req, res, liked) {
+  const id = parseInt(req.params.id);
+  const key = likerKey(req);
+
+  try {
+    if (!(await GalleryItem.exists({ id, hidden: { $ne: true } }))) {
+      return res.status(404).json({ error: "Gallery item not found." });
+    }
+
+    // Only a like that was actually added or removed moves the counter, so repeats are no-ops
+    let changed;
+    if (liked) {
+      changed = await Like.create({ itemId: id, likerKey: key }).then(
+        () => true,
+        (err) => {
+          if (err.code === 11000) return false;
+          throw err;
         }
+      );
+    } else {
+      changed = (await Like.deleteOne({ itemId: id, likerKey: key })).deletedCount > 0;
+    }
+
+    const item = changed
+      ? await GalleryItem.findOneAndUpdate({ id }, { $inc: { likeCount: liked ? 1 : -1 } }, { new: true })
+      : await GalleryItem.findOne({ id });
+    res.json({ id, liked, likeCount: Math.max(0, item?.likeCount || 0) });
+  } catch (err) {
+    req.log.error("Like error", { err });
+    res.status(500).json({ error: "Failed to update like." });
+  }
+}
+
+app.post("/api/gallery/:id/like", galleryItemId, (req, res) => setLiked(req, res, true));
+app.delete("/api/gallery/:id/like", galleryItemId, (req, res) => setLiked(req, res, false));
+
+// Remix a gallery item: the body holds only the input fields to change (plus `count`),
+// everything else is taken from the original. The result links back through `parentId`.
+app.post("/api/gallery/:id/remix", galleryItemId, authorizeGeneration, limitGenerations, async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  let item;
+  try {
+    item = await GalleryItem.findOne({ id, hidden: { $ne: true } });
+  } catch (err) {
+    req.log.error("Remix error", { err });
+    return res.status(500).json({ error: "Failed to load gallery item." });
+  }
+  if (!item) {
+    return res.status(404).json({ error: "Gallery item not found." });
+  }
+
+  const style = getStyle(item.style || "zule");
+  if (!style) {
+    return res.status(400).json({ error: `Style ${item.style} can no longer be remixed.` });
+  }
+  await queueGeneration(style, mergeInput(style, remixBase(item), req.body), res, {
+    parentId: item.id,
+    user: req.auth?.user,
+  });
+});
+
+// Remix lineage of a gallery item: ?depth=<1-10> generations of remixes below it
+app.get("/api/gallery/:id/remixes", galleryItemId, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const maxDepth = Math.min(Math.max(parseInt(req.query.depth) || 5, 1), 10);
+
+  try {
+    const lineage = await findLineage(GalleryItem, id, { maxDepth });
+    if (!lineage) {
+      return res.status(404).json({ error: "Gallery item not found." });
+    }
+    res.json(lineage);
+  } catch (err) {
+    req.log.error("Remix lineage error", { err });
+    res.status(500).json({ error: "Failed to fetch remixes." });
+  }
+});
+
+// Download one variant of a gallery item: ?size=original|400|128|48|circle&format=png|webp|avif
+app.get("/api/gallery/:id/download", galleryItemId, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const size = req.query.size || "original";
+  const format = req.query.format || "png";
+
+  try {
+    const item = await GalleryItem.findOne({ id, hidden: { $ne: true } });
+    if (!item) {
+      return res.status(404).json({ error: "Gallery item not found." });
+    }
+
+    let variant = findVariant(item.variants, { size, format });
+    // Items from before variants existed only have the original PNG
+    if (!variant && size === "original" && format === "png" && item.storageKey) {
+      variant = { key: item.storageKey, format: "png" };
+    }
+    if (!variant) {
+      return res.status(404).json({
+        error: `Variant size=${size} format=${format} is not available for this item.`,
+        available: Object.keys(item.variants || {}),
+      });
+    }
+
+    const backend = item.storageBackend && item.storageBackend !== storage.name
+      ? createStorage(item.storageBackend)
+      : storage;
+    const stream = await backend.read(variant.key);
+    res.set("Content-Type", CONTENT_TYPES[variant.format]);
+    res.attachment(`zule-pfp-${item.id}-${size}.${variant.format}`);
+    stream.on("error", (err) => {
+      req.log.error("Download stream error", { err });
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    req.log.error("Download error", { err });
+    res.status(500).json({ error: "Failed to download image." });
+  }
+});
+
+// Report a gallery item: body { reason, details? }. One report per account (or IP) and item;
+// enough reports hide the item until an admin reviews it.
+app.post("/api/gallery/:id/report", galleryItemId, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { value, errors } = validateInput(
+    {
+      reason: { type: "string", required: true, enum: REPORT_REASONS },
+      details: { type: "string", maxLength: 500, sanitize: true },
+    },
+    req.body
+  );
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse(errors));
+  }
+
+  const reporterKey = req.auth?.user
+    ? `user:${req.auth.user._id}`
+    : `ip:${crypto.createHash("sha256").update(String(req.ip)).digest("hex")}`;
+
+  try {
+    const item = await GalleryItem.findOne({ id, hidden: { $ne: true } });
+    if (!item) {
+      return res.status(404).json({ error: "Gallery item not found." });
+    }
+
+    try {
+      await Report.create({ itemId: id, reporterKey, reason: value.reason, details: value.details });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ error: "You already reported this item." });
+      }
+      throw err;
+    }
+
+    const updated = await GalleryItem.findOneAndUpdate({ id }, { $inc: { reportCount: 1 } }, { new: true });
+    if (updated.reportCount >= REPORT_AUTO_HIDE_THRESHOLD && !updated.hidden) {
+      await GalleryItem.updateOne(
+        { id, hidden: { $ne: true } },
+        { $set: { hidden: true, hiddenReason: "reports", hiddenAt: new Date() } }
+      );
+      req.log.info("Gallery item hidden after reports", { galleryItemId: id, reports: updated.reportCount });
+      trendingFeed.invalidate();
+    }
+    res.status(201).json({ message: "Thanks, the report was received." });
+  } catch (err) {
+    req.log.error("Report error", { err });
+    res.status(500).json({ error: "Failed to report gallery item." });
+  }
+});
+
+// Preview a watermark profile on a sample image: ?profile=<name>&size=<64-1024>
+app.get("/api/watermark/preview", async (req, res) => {
+  const profileName = req.query.profile || "default";
+  if (!listProfiles().includes(profileName)) {
+    return res.status(404).json({ error: `Unknown watermark profile: ${profileName}`, profiles: listProfiles() });
+  }
+
+  try {
+    const size = Math.min(Math.max(parseInt(req.query.size) || 512, 64), 1024);
+    const preview = await renderWatermark(await sampleImage(size), getProfile(profileName));
+    res.type("png").send(preview);
+  } catch (err) {
+    req.log.error("Watermark preview error", { err });
+    res.status(500).json({ error: "Failed to render watermark preview." });
+  }
+});
+
+// Per-key usage and cooldown state (admin only, secrets are never included)
+app.get("/api/admin/keys", requireAdmin, (req, res) => {
+  res.json({
+    provider: imageProvider.name,
+    total: keyPool.size,
+    available: keyPool.availableCount(),
+    keys: keyPool.snapshot(),
+  });
+});
+
+// Gallery moderation (admin only)
+
+// Every gallery item including hidden ones: ?status=visible|hidden|reported&style=&q=&trait.<Category>=
+// plus the usual limit/cursor/sort params
+app.get("/api/admin/gallery", requireAdmin, async (req, res) => {
+  const filter = buildGalleryFilter(req.query, { includeHidden: true });
+  if (req.query.status === "visible") filter.hidden = { $ne: true };
+  if (req.query.status === "hidden") filter.hidden = true;
+  if (req.query.status === "reported") filter.reportCount = { $gt: 0 };
+  await sendGalleryList(res, filter, { ...req.query, latest: "false" });
+});
+
+// Moderation queue: items with open reports, most reported first
+app.get("/api/admin/reports", requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    const queue = await Report.aggregate([
+      { $match: { status: "open" } },
+      {
+        $group: {
+          _id: "$itemId",
+          openReports: { $sum: 1 },
+          reasons: { $push: "$reason" },
+          details: { $push: "$details" },
+          lastReportedAt: { $max: "$createdAt" },
+        },
       },
-      { $replaceRoot: { newRoot: "$doc" } }, // Replace root with the document
-      { $sort: { id: -1 } }, // Re-sort by id after grouping
-      { $skip: skip }, // Apply pagination
-      { $limit: limit }, // Limit results
+      { $sort: { openReports: -1, lastReportedAt: -1 } },
+      { $limit: limit },
+      { $lookup: { from: GalleryItem.collection.name, localField: "_id", foreignField: "id", as: "item" } },
+      { $unwind: { path: "$item", preserveNullAndEmptyArrays: true } },
     ]);
+    res.json({
+      threshold: REPORT_AUTO_HIDE_THRESHOLD,
+      items: queue.map(({ _id, ...entry }) => ({ itemId: _id, ...entry, details: entry.details.filter(Boolean) })),
+    });
+  } catch (err) {
+    req.log.error("Report queue error", { err });
+    res.status(500).json({ error: "Failed to fetch the moderation queue." });
+  }
+});
+
+// Hide or unhide an item; open reports are resolved either way (actioned / dismissed)
+async function setHidden(req, res, hidden) {
+  const id = parseInt(req.params.id);
+  const update = hidden
+    ? { $set: { hidden: true, hiddenReason: "admin", hiddenAt: new Date() } }
+    : { $set: { hidden: false, reportCount: 0 }, $unset: { hiddenReason: 1, hiddenAt: 1 } };
 
-    res.json({ total, items });
+  try {
+    const item = await GalleryItem.findOneAndUpdate({ id }, update, { new: true });
+    if (!item) {
+      return res.status(404).json({ error: "Gallery item not found." });
+    }
+    await Report.updateMany(
+      { itemId: id, status: "open" },
+      { $set: { status: hidden ? "actioned" : "dismissed", resolvedAt: new Date() } }
+    );
+    trendingFeed.invalidate();
+    res.json(item);
   } catch (err) {
-    res.status(500).json({ error: "Failed to fetch gallery." });
+    req.log.error("Moderation error", { err });
+    res.status(500).json({ error: "Failed to update gallery item." });
+  }
+}
+
+app.post("/api/admin/gallery/:id/hide", requireAdmin, galleryItemId, (req, res) => setHidden(req, res, true));
+app.post("/api/admin/gallery/:id/unhide", requireAdmin, galleryItemId, (req, res) => setHidden(req, res, false));
+
+// Permanently delete an item and every stored file of it
+app.delete("/api/admin/gallery/:id", requireAdmin, galleryItemId, async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    const item = await GalleryItem.findOne({ id });
+    if (!item) {
+      return res.status(404).json({ error: "Gallery item not found." });
+    }
+
+    await deleteCandidateAssets(item, req.log);
+    await GalleryItem.deleteOne({ _id: item._id });
+    await Like.deleteMany({ itemId: id });
+    trendingFeed.invalidate();
+    await Report.updateMany(
+      { itemId: id, status: "open" },
+      { $set: { status: "actioned", resolvedAt: new Date() } }
+    );
+    req.log.info("Gallery item deleted", { galleryItemId: id });
+    res.json({ message: "Gallery item deleted.", id });
+  } catch (err) {
+    req.log.error("Gallery delete error", { err });
+    res.status(500).json({ error: "Failed to delete gallery item." });
+  }
+});
+
+// CSV export of confirmed newsletter subscribers (admin only)
+app.get("/api/admin/newsletter/export", requireAdmin, async (req, res) => {
+  try {
+    // Subscriptions from before double opt-in have no status and count as confirmed
+    const cursor = Newsletter.find({ status: { $in: ["confirmed", null] } })
+      .sort({ subscribedAt: 1 })
+      .lean()
+      .cursor();
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.attachment(`newsletter-subscribers-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.write(csvRow(["email", "subscribed_at", "confirmed_at", "source"]));
+    for await (const subscription of cursor) {
+      res.write(csvRow([subscription.email, subscription.subscribedAt, subscription.confirmedAt, subscription.source]));
+    }
+    res.end();
+  } catch (err) {
+    req.log.error("Newsletter export error", { err });
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Failed to export subscribers." });
+  }
+});
+
+// Prompt template administration (admin only)
+function styleForTemplate(templateId) {
+  return listStyles()
+    .map((summary) => getStyle(summary.name))
+    .find((style) => style.prompt.templateId === templateId);
+}
+
+// Shared error handling for the prompt admin routes
+function sendTemplateError(res, err) {
+  if (err instanceof TemplateError) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.req.log.error("Prompt template error", { err });
+  res.status(500).json({ error: "Failed to update prompt template." });
+}
+
+// List prompt templates with their versions
+app.get("/api/admin/prompts", requireAdmin, async (req, res) => {
+  try {
+    const templates = await Promise.all(
+      listStyles().map(async ({ name }) => {
+        const { templateId, variables } = getStyle(name).prompt;
+        return { templateId, style: name, variables, versions: await listVersions(templateId) };
+      })
+    );
+    res.json({ templates });
+  } catch (err) {
+    sendTemplateError(res, err);
   }
 });
+
+// Create a new version: body { body, notes?, activate? }
+app.post("/api/admin/prompts/:templateId", requireAdmin, async (req, res) => {
+  const style = styleForTemplate(req.params.templateId);
+  if (!style) {
+    return res.status(404).json({ error: "Prompt template not found." });
+  }
+  const { value, errors } = validateInput(
+    {
+      body: { type: "string", required: true, maxLength: 20000 },
+      notes: { type: "string", maxLength: 500 },
+      activate: { type: "boolean" },
+    },
+    req.body
+  );
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse(errors));
+  }
+
+  try {
+    let template = await createVersion(style.prompt.templateId, value, style.prompt.variables);
+    if (value.activate) {
+      template = await activateVersion(template.templateId, template.version);
+    }
+    res.status(201).json({ template });
+  } catch (err) {
+    sendTemplateError(res, err);
+  }
+});
+
+// Activate a specific version
+app.post("/api/admin/prompts/:templateId/versions/:version/activate", requireAdmin, async (req, res) => {
+  if (!/^\d+$/.test(req.params.version)) {
+    return res.status(400).json({ error: `Prompt template "${req.params.templateId}" v${req.params.version} not found.` });
+  }
+  try {
+    const template = await activateVersion(req.params.templateId, parseInt(req.params.version));
+    res.json({ template });
+  } catch (err) {
+    sendTemplateError(res, err);
+  }
+});
+
+// Roll back to the version before the active one
+app.post("/api/admin/prompts/:templateId/rollback", requireAdmin, async (req, res) => {
+  try {
+    const template = await rollback(req.params.templateId);
+    res.json({ template });
+  } catch (err) {
+    sendTemplateError(res, err);
+  }
+});
+
+// Prometheus scrape endpoint
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  } catch (err) {
+    req.log.error("Metrics error", { err });
+    res.status(500).json({ error: "Failed to collect metrics." });
+  }
+});
+
+// Liveness: the process is up and serving requests
+app.get("/healthz", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+const MONGO_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+// Every watermark logo in use must be readable by sharp
+async function checkLogos() {
+  const logoPaths = [
+    ...new Set(
+      listStyles()
+        .map(({ name }) => resolveLogoPath(getProfile(getStyle(name).watermark.profile)))
+        .filter(Boolean)
+    ),
+  ];
+  try {
+    await Promise.all(logoPaths.map((logoPath) => sharp(logoPath).metadata()));
+    return { ok: true, files: logoPaths.map((logoPath) => path.basename(logoPath)) };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// Readiness: every dependency a generation needs, with a per-dependency breakdown; 503 when not ready
+app.get("/readyz", async (req, res) => {
+  const checks = {
+    mongo: {
+      ok: mongoose.connection.readyState === 1,
+      state: MONGO_STATES[mongoose.connection.readyState] || "unknown",
+    },
+    watermarkLogo: await checkLogos(),
+    storage: { ok: Boolean(storage.configured), backend: storage.name },
+    apiKeys: imageProvider.requiresApiKey
+      ? { ok: keyPool.availableCount() > 0, available: keyPool.availableCount(), total: keyPool.size }
+      : { ok: true, required: false },
+  };
+  const ready = Object.values(checks).every((check) => check.ok);
+
+  res.set("Cache-Control", "no-store");
+  res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks });
+});
+
 app.get("/ping", async (req, res) => {
   res.status(200).json({ message: "ZULE to the fucking moon 🌕" });
 });
 
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
 app.listen(PORT, () => {
-  console.log(`🚀 API running on http://localhost:${PORT}`);
+  logger.info("API listening", { port: Number(PORT) });
 });
+
+// Clean up image files left behind by earlier crashes
+sweepOrphans({ projectDir: __dirname }).catch((err) => logger.error("Orphan sweep failed", { err }));
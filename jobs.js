@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { GenerationError, GENERIC_FAILURE_MESSAGE } = require("./errors");
+const { logger } = require("./logger");
+const { generations } = require("./metrics");
+
+// Lifecycle of a generation job, in the order a successful job moves through them
+const JOB_STATUSES = ["queued", "generating", "watermarking", "uploading", "done", "failed"];
+const IN_PROGRESS_STATUSES = ["generating", "watermarking", "uploading"];
+
+// Generation job schema (persisted so queued work survives a restart)
+const JobSchema = new mongoose.Schema(
+  {
+    jobId: { type: String, required: true, unique: true },
+    status: { type: String, enum: JOB_STATUSES, default: "queued" },
+    style: { type: String, default: "zule" },
+    input: { type: mongoose.Schema.Types.Mixed, default: {} },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Logged-in account, if any
+    requestId: String, // X-Request-Id of the request that queued the job
+    imageUrl: String,
+    galleryItemId: Number,
+    variants: mongoose.Schema.Types.Mixed,
+    // Batch generations (count > 1) keep their candidates as drafts until one is selected
+    count: { type: Number, default: 1 },
+    parentId: Number, // Gallery item being remixed
+    candidates: [mongoose.Schema.Types.Mixed], // { index, imageUrl, storageBackend, storageKey, variants }
+    selectedIndex: Number,
+    promptHash: String,
+    promptTemplateId: String,
+    promptVersion: Number,
+    provider: String,
+    model: String,
+    draftsExpireAt: Date,
+    draftsDeleted: { type: Boolean, default: false },
+    error: String,
+    errorCode: String,
+    attempts: { type: Number, default: 0 },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  { timestamps: true }
+);
+JobSchema.index({ status: 1, createdAt: 1 });
+JobSchema.index({ draftsDeleted: 1, draftsExpireAt: 1 });
+const Job = mongoose.model("Job", JobSchema);
+
+// Shape returned to clients polling GET /api/jobs/:id
+function serializeJob(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    style: job.style,
+    imageUrl: job.imageUrl || null,
+    galleryItemId: job.galleryItemId ?? null,
+    variants: job.variants || null,
+    count: job.count || 1,
+    parentId: job.parentId ?? null,
+    candidates: (job.candidates || []).map(({ index, imageUrl, variants }) => ({ index, imageUrl, variants })),
+    selectedIndex: job.selectedIndex ?? null,
+    draftsExpireAt: job.draftsExpireAt || null,
+    error: job.error || null,
+    errorCode: job.errorCode || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+// Creates a Mongo-backed job queue.
+// `handler(job, setStatus, log)` does the work and resolves with fields to store on the finished job;
+// `log` carries the job's requestId and jobId.
+function createJobQueue({
+  handler,
+  concurrency = 2,
+  pollIntervalMs = 1000,
+  staleAfterMs = 10 * 60 * 1000,
+  maxAttempts = 3,
+}) {
+  let running = 0;
+  let timer = null;
+  let draining = false;
+
+  async function enqueue(style, input, { count = 1, parentId, userId, requestId } = {}) {
+    const job = await Job.create({ jobId: uuidv4(), style, input, count, parentId, userId, requestId });
+    logger.info("Job queued", { requestId, jobId: job.jobId, style, count });
+    setImmediate(drain);
+    return job;
+  }
+
+  function findJob(jobId) {
+    return Job.findOne({ jobId });
+  }
+
+  // Atomically claim the oldest queued job so two workers never pick the same one
+  function claimNext() {
+    return Job.findOneAndUpdate(
+      { status: "queued" },
+      { $set: { status: "generating", startedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Jobs left mid-flight by a crashed or restarted worker go back on the queue
+  async function requeueStale() {
+    const cutoff = new Date(Date.now() - staleAfterMs);
+    const stale = { status: { $in: IN_PROGRESS_STATUSES }, updatedAt: { $lt: cutoff } };
+
+    await Job.updateMany(
+      { ...stale, attempts: { $gte: maxAttempts } },
+      {
+        $set: {
+          status: "failed",
+          error: "Job was interrupted too many times.",
+          errorCode: "JOB_INTERRUPTED",
+          finishedAt: new Date(),
+        },
+      }
+    );
+    const { modifiedCount } = await Job.updateMany(stale, { $set: { status: "queued" } });
+    if (modifiedCount > 0) {
+      logger.warn("Requeued interrupted jobs", { jobs: modifiedCount });
+    }
+  }
+
+  async function run(job) {
+    const log = logger.child({ requestId: job.requestId, jobId: job.jobId });
+    const setStatus = (status) => {
+      log.info("Job status", { status });
+      return Job.updateOne({ _id: job._id }, { $set: { status } });
+    };
+
+    const started = Date.now();
+    log.info("Job started", { style: job.style, attempt: job.attempts });
+    try {
+      const result = await handler(job, setStatus, log);
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { ...result, status: "done", error: null, errorCode: null, finishedAt: new Date() } }
+      );
+      generations.inc({ style: job.style, outcome: "success" });
+      log.info("Job done", { durationMs: Date.now() - started });
+    } catch (err) {
+      const known = err instanceof GenerationError;
+      const errorCode = known ? err.code : "GENERATION_FAILED";
+      generations.inc({ style: job.style, outcome: errorCode });
+      log.error("Job failed", {
+        errorCode,
+        detail: known ? err.detail : undefined,
+        err,
+        durationMs: Date.now() - started,
+      });
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "failed",
+            error: known ? err.message : GENERIC_FAILURE_MESSAGE,
+            errorCode,
+            finishedAt: new Date(),
+          },
+        }
+      ).catch((updateErr) => log.error("Job update failed", { err: updateErr }));
+    }
+  }
+
+  // Fill every free worker slot with a queued job
+  async function drain() {
+    if (draining || !timer) return;
+    draining = true;
+    try {
+      while (running < concurrency) {
+        const job = await claimNext();
+        if (!job) break;
+        running++;
+        run(job).finally(() => {
+          running--;
+          setImmediate(drain);
+        });
+      }
+    } catch (err) {
+      logger.error("Job queue error", { err });
+    } finally {
+      draining = false;
+    }
+  }
+
+  async function tick() {
+    try {
+      await requeueStale();
+    } catch (err) {
+      logger.error("Job queue tick failed", { err });
+    }
+    await drain();
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, pollIntervalMs);
+    logger.info("Job worker started", { concurrency });
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, findJob, start, stop };
+}
+
+module.exports = { Job, JOB_STATUSES, createJobQueue, serializeJob };
@@ -0,0 +1,143 @@
+// Pool of Gemini API keys with per-key health tracking and rate-limit cooldowns.
+// Each request leases a key for a single attempt, so concurrent requests never rotate keys for each other.
+
+const RECENT_WINDOW = 20; // Outcomes remembered per key for the health score
+const DEFAULT_COOLDOWN_MS = 60 * 1000; // Used when a 429 carries no Retry-After
+
+// Read GEMINI_API_KEY_1..n from the environment
+function loadKeysFromEnv(env = process.env) {
+  const keys = [];
+  let keyIndex = 1;
+  while (env[`GEMINI_API_KEY_${keyIndex}`]) {
+    keys.push({ name: `GEMINI_API_KEY_${keyIndex}`, secret: env[`GEMINI_API_KEY_${keyIndex}`] });
+    keyIndex++;
+  }
+  return keys;
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+function createKeyPool(keys, { defaultCooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+  const entries = keys.map(({ name, secret }) => ({
+    name,
+    secret,
+    successes: 0,
+    rateLimited: 0,
+    unavailable: 0,
+    failures: 0,
+    inFlight: 0,
+    recent: [], // true for success, false for any failure
+    cooldownUntil: 0,
+    lastUsedAt: 0,
+  }));
+
+  // Share of recent attempts that succeeded; unused keys count as healthy
+  function healthScore(entry) {
+    if (entry.recent.length === 0) return 1;
+    return entry.recent.filter(Boolean).length / entry.recent.length;
+  }
+
+  function isCoolingDown(entry, now = Date.now()) {
+    return entry.cooldownUntil > now;
+  }
+
+  // Lease the healthiest key that is not cooling down, preferring keys not yet tried by this request
+  function acquire(exclude = []) {
+    const now = Date.now();
+    const available = entries.filter((entry) => !isCoolingDown(entry, now));
+    if (available.length === 0) return null;
+
+    const untried = available.filter((entry) => !exclude.includes(entry.name));
+    const candidates = untried.length > 0 ? untried : available;
+
+    candidates.sort(
+      (a, b) =>
+        healthScore(b) - healthScore(a) ||
+        a.inFlight - b.inFlight ||
+        a.lastUsedAt - b.lastUsedAt ||
+        Math.random() - 0.5
+    );
+
+    const entry = candidates[0];
+    entry.inFlight++;
+    entry.lastUsedAt = now;
+    return { name: entry.name, key: entry.secret };
+  }
+
+  function remember(entry, ok) {
+    entry.recent.push(ok);
+    if (entry.recent.length > RECENT_WINDOW) entry.recent.shift();
+  }
+
+  // Record the outcome of a leased attempt.
+  // outcome: "success" | "rate_limited" | "unavailable" | "failure"
+  function release(name, outcome, { retryAfterMs = null } = {}) {
+    const entry = entries.find((e) => e.name === name);
+    if (!entry) return;
+    entry.inFlight = Math.max(0, entry.inFlight - 1);
+
+    if (outcome === "success") {
+      entry.successes++;
+      remember(entry, true);
+    } else if (outcome === "rate_limited") {
+      entry.rateLimited++;
+      entry.cooldownUntil = Date.now() + (retryAfterMs ?? defaultCooldownMs);
+      remember(entry, false);
+    } else if (outcome === "unavailable") {
+      entry.unavailable++;
+      if (retryAfterMs) entry.cooldownUntil = Date.now() + retryAfterMs;
+      remember(entry, false);
+    } else {
+      entry.failures++;
+      remember(entry, false);
+    }
+  }
+
+  // Milliseconds until the first cooled-down key becomes usable again (0 if one is free now)
+  function msUntilAvailable() {
+    const now = Date.now();
+    if (entries.some((entry) => !isCoolingDown(entry, now))) return 0;
+    return Math.min(...entries.map((entry) => entry.cooldownUntil - now));
+  }
+
+  function availableCount() {
+    const now = Date.now();
+    return entries.filter((entry) => !isCoolingDown(entry, now)).length;
+  }
+
+  // Per-key stats for the admin API; never includes the secret
+  function snapshot() {
+    const now = Date.now();
+    return entries.map((entry) => ({
+      name: entry.name,
+      successes: entry.successes,
+      rateLimited: entry.rateLimited,
+      unavailable: entry.unavailable,
+      failures: entry.failures,
+      inFlight: entry.inFlight,
+      health: Number(healthScore(entry).toFixed(2)),
+      coolingDown: isCoolingDown(entry, now),
+      cooldownRemainingMs: Math.max(0, entry.cooldownUntil - now),
+      lastUsedAt: entry.lastUsedAt ? new Date(entry.lastUsedAt).toISOString() : null,
+    }));
+  }
+
+  return {
+    size: entries.length,
+    acquire,
+    release,
+    msUntilAvailable,
+    availableCount,
+    snapshot,
+  };
+}
+
+module.exports = { createKeyPool, loadKeysFromEnv, parseRetryAfter };
@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require("uuid");
+const { config } = require("./config");
+
+// Structured JSON logger: one line per entry with time, level, msg and context fields.
+// LOG_LEVEL (debug, info, warn, error) sets the minimum level written.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function minimumLevel() {
+  return LEVELS[config.logLevel] || LEVELS.info;
+}
+
+// Errors become { message, code, stack }, other values pass through
+function serialize(fields) {
+  const out = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      out[name] = { message: value.message, code: value.code, detail: value.detail, stack: value.stack };
+    } else if (value !== undefined) {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+// Warnings and errors go to stderr, everything else to stdout
+function writeLine(level, line) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+function createLogger(bindings = {}, write = writeLine) {
+  function log(level, msg, fields = {}) {
+    if (LEVELS[level] < minimumLevel()) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings, ...serialize(fields) };
+    write(level, JSON.stringify(entry));
+  }
+
+  return {
+    bindings,
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+    // Logger that adds `extra` to every entry (e.g. { requestId, jobId })
+    child: (extra) => createLogger({ ...bindings, ...extra }, write),
+  };
+}
+
+const logger = createLogger();
+
+// Incoming IDs are reused when they look sane, so a proxy or client can trace its own requests
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Express middleware: assign req.id (echoed in X-Request-Id), attach req.log and write an access log.
+// Requests to `quietPaths` (probes, scrapes) are only logged at debug level, whatever their status.
+function requestContext(onFinish, { quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set("X-Request-Id", req.id);
+
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+      const path = req.originalUrl.split("?")[0];
+      // Quiet paths stay at debug even when failing, e.g. /readyz answering 503 while MongoDB is down
+      const level = quietPaths.includes(path) ? "debug" : res.statusCode >= 500 ? "error" : "info";
+      req.log[level]("request", {
+        method: req.method,
+        path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+      });
+      if (onFinish) onFinish({ req, res, route, durationMs });
+    });
+    next();
+  };
+}
+
+module.exports = { LEVELS, createLogger, logger, requestContext };
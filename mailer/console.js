@@ -0,0 +1,15 @@
+const { v4: uuidv4 } = require("uuid");
+const { logger } = require("../logger");
+
+// Development transport: prints every message instead of sending it
+function createConsoleMailer() {
+  async function send({ to, subject, text }) {
+    const messageId = uuidv4();
+    logger.info("Mail (console transport)", { messageId, to, subject, text });
+    return { messageId };
+  }
+
+  return { name: "console", configured: true, send };
+}
+
+module.exports = { createConsoleMailer };
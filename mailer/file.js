@@ -0,0 +1,20 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+// Development transport: writes every message to `directory` as a JSON file
+function createFileMailer({ directory }) {
+  const root = path.resolve(directory);
+
+  async function send(message) {
+    const messageId = uuidv4();
+    await fs.mkdir(root, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}_${messageId}.json`;
+    await fs.writeFile(path.join(root, fileName), JSON.stringify({ messageId, ...message }, null, 2));
+    return { messageId };
+  }
+
+  return { name: "file", configured: true, directory: root, send };
+}
+
+module.exports = { createFileMailer };
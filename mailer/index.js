@@ -0,0 +1,24 @@
+const { config } = require("../config");
+const { createConsoleMailer } = require("./console");
+const { createFileMailer } = require("./file");
+
+// Mail transports selectable through MAILER. Each exposes:
+//   name, configured, send({ to, subject, text, html, headers }) -> { messageId }
+// Settings come from config.mail.
+const mailerFactories = {
+  console: () => createConsoleMailer(),
+  file: (settings) => createFileMailer({ directory: settings.fileDir }),
+  // Loaded on demand so nodemailer is only pulled in when SMTP is used
+  smtp: (settings) => require("./smtp").createSmtpMailer(settings.smtp),
+};
+
+function createMailer(name, settings = config.mail) {
+  const factory = mailerFactories[name];
+  if (!factory) {
+    const known = Object.keys(mailerFactories).join(", ");
+    throw new Error(`Unknown mailer "${name}". Expected one of: ${known}`);
+  }
+  return factory(settings);
+}
+
+module.exports = { createMailer, MAILERS: Object.keys(mailerFactories) };
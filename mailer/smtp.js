@@ -0,0 +1,19 @@
+const nodemailer = require("nodemailer");
+
+// SMTP transport; configure with SMTP_URL or the individual host/port/credential settings
+function createSmtpMailer({ url, host, port, secure, user, pass }) {
+  const configured = Boolean(url || host);
+  const transport = configured
+    ? nodemailer.createTransport(url || { host, port, secure, auth: user ? { user, pass } : undefined })
+    : null;
+
+  async function send({ to, subject, text, html, headers, from }) {
+    if (!transport) throw new Error("SMTP is not configured.");
+    const info = await transport.sendMail({ from, to, subject, text, html, headers });
+    return { messageId: info.messageId };
+  }
+
+  return { name: "smtp", configured, send };
+}
+
+module.exports = { createSmtpMailer };
@@ -0,0 +1,70 @@
+const client = require("prom-client");
+
+// Prometheus metrics served by GET /metrics
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "pfp_" });
+
+const generations = new client.Counter({
+  name: "pfp_generations_total",
+  help: "Finished generation jobs by style and outcome (success or an error code).",
+  labelNames: ["style", "outcome"],
+  registers: [registry],
+});
+
+const stageDuration = new client.Histogram({
+  name: "pfp_generation_stage_duration_seconds",
+  help: "Latency of each generation pipeline stage.",
+  labelNames: ["stage"], // upstream, watermark, upload, db
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60],
+  registers: [registry],
+});
+
+const upstreamRetries = new client.Counter({
+  name: "pfp_upstream_retries_total",
+  help: "Retried upstream generation attempts by failure reason.",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+const keyRotations = new client.Counter({
+  name: "pfp_api_key_rotations_total",
+  help: "Attempts that switched to another API key after a failure, by failure reason.",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: "pfp_http_request_duration_seconds",
+  help: "HTTP request latency by route and status.",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry],
+});
+
+// Run `fn` and record its duration under `stage`, whether it succeeds or not
+async function timeStage(stage, fn) {
+  const end = stageDuration.startTimer({ stage });
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
+
+// Access-log hook for requestContext(); unmatched routes share one label to bound cardinality
+function observeRequest({ req, res, route, durationMs }) {
+  httpDuration.observe(
+    { method: req.method, route: route || "unmatched", status: String(res.statusCode) },
+    durationMs / 1000
+  );
+}
+
+module.exports = {
+  registry,
+  generations,
+  stageDuration,
+  upstreamRetries,
+  keyRotations,
+  timeStage,
+  observeRequest,
+};
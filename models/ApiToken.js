@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Long-lived API token of an account. Only a SHA-256 hash of the secret is stored.
+const ApiTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, required: true }, // First characters of the secret, to recognize it in lists
+  tokenHash: { type: String, required: true, unique: true },
+  scopes: [String],
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Public view of a token (never the secret or its hash)
+ApiTokenSchema.methods.toPublic = function () {
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt || null,
+    revokedAt: this.revokedAt || null,
+    lastUsedAt: this.lastUsedAt || null,
+    createdAt: this.createdAt,
+  };
+};
+
+const ApiToken = mongoose.model("ApiToken", ApiTokenSchema);
+
+module.exports = ApiToken;
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Named monotonic sequences (e.g. gallery item IDs)
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+// Atomically increment and return the next value of a sequence
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+// Make sure a sequence never hands out a value at or below `value` (safe to call concurrently)
+CounterSchema.statics.ensureAtLeast = function (name, value) {
+  return this.updateOne({ _id: name }, { $max: { seq: value } }, { upsert: true });
+};
+
+const Counter = mongoose.model("Counter", CounterSchema);
+
+module.exports = Counter;
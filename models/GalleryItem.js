@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+const ID_SEQUENCE = "galleryItemId";
+
+// Community gallery item.
+// Indexes are built by GalleryItem.prepareIds() once duplicate IDs are known to be gone,
+// because the unique index on `id` cannot be created while duplicates exist.
+const GalleryItemSchema = new mongoose.Schema(
+  {
+    id: { type: Number, unique: true },
+    username: String,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Account that generated the item
+    inscription: String,
+    imageUrl: String,
+    storageBackend: String, // Items without one were uploaded to Cloudinary
+    storageKey: String, // Backend object key, used to delete or migrate the image
+    variants: mongoose.Schema.Types.Mixed, // { name: { url, key, format, size, circle, width, height } }
+    style: { type: String, default: "zule" }, // Items saved before styles existed are ZULE hats
+    traits: [{ _id: false, trait_type: String, value: mongoose.Schema.Types.Mixed }],
+    input: mongoose.Schema.Types.Mixed, // Validated style input, the starting point for remixes
+    parentId: Number, // Gallery item this one was remixed from
+    promptHash: String, // sha256 of the exact prompt sent upstream
+    promptTemplateId: String,
+    promptVersion: Number,
+    provider: String,
+    model: String,
+    // Moderation: hidden items are left out of every public listing
+    hidden: { type: Boolean, default: false },
+    hiddenReason: String, // "admin" or "reports"
+    hiddenAt: Date,
+    reportCount: { type: Number, default: 0 },
+    likeCount: { type: Number, default: 0 },
+    viewCount: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    previousId: Number, // Set when the ID repair renumbered a duplicate
+  },
+  { autoIndex: false }
+);
+GalleryItemSchema.index({ style: 1, id: -1 });
+GalleryItemSchema.index({ "traits.trait_type": 1, "traits.value": 1 });
+GalleryItemSchema.index({ createdAt: -1, id: -1 }); // newest / oldest sorts
+GalleryItemSchema.index({ username: 1, id: -1 }); // latest item per user and user history
+GalleryItemSchema.index({ username: "text", inscription: "text" }); // ?q= search
+GalleryItemSchema.index({ parentId: 1, id: -1 }); // remix lineage
+GalleryItemSchema.index({ hidden: 1, reportCount: -1 }); // moderation listing
+
+// Allocate the next gallery ID from the atomic counter
+GalleryItemSchema.statics.nextId = function () {
+  return Counter.next(ID_SEQUENCE);
+};
+
+// Startup step: seed the counter from existing items, backfill createdAt for items saved
+// before it existed (from their ObjectId timestamp) and build indexes.
+// Fails with a hint if duplicate IDs still need the repair script.
+GalleryItemSchema.statics.prepareIds = async function () {
+  await this.updateMany({ createdAt: { $exists: false } }, [
+    { $set: { createdAt: { $toDate: "$_id" } } },
+  ]);
+
+  const lastItem = await this.findOne({ id: { $ne: null } }).sort({ id: -1 });
+  await Counter.ensureAtLeast(ID_SEQUENCE, lastItem ? lastItem.id : 0);
+
+  try {
+    await this.createIndexes();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new Error("Duplicate gallery IDs found. Run `npm run repair:gallery-ids` to fix them.");
+    }
+    throw err;
+  }
+};
+
+// One-time repair: keep the oldest item of each duplicated ID and give the others fresh IDs.
+// Renumbered items keep their old number in `previousId`. Returns the list of changes.
+GalleryItemSchema.statics.repairDuplicateIds = async function () {
+  const lastItem = await this.findOne({ id: { $ne: null } }).sort({ id: -1 });
+  await Counter.ensureAtLeast(ID_SEQUENCE, lastItem ? lastItem.id : 0);
+
+  const duplicates = await this.aggregate([
+    { $group: { _id: "$id", docs: { $push: "$_id" }, count: { $sum: 1 } } },
+    { $match: { $or: [{ count: { $gt: 1 } }, { _id: null }] } },
+  ]);
+
+  const changes = [];
+  for (const group of duplicates) {
+    // ObjectIds sort by creation time, so the first one is the original
+    const [original, ...extras] = group.docs.sort((a, b) => a.toString().localeCompare(b.toString()));
+    const toRenumber = group._id === null ? [original, ...extras] : extras;
+
+    for (const _id of toRenumber) {
+      const newId = await this.nextId();
+      await this.updateOne({ _id }, { $set: { id: newId, previousId: group._id } });
+      changes.push({ _id: _id.toString(), previousId: group._id, id: newId });
+    }
+  }
+  return changes;
+};
+
+const GalleryItem = mongoose.model("GalleryItem", GalleryItemSchema);
+
+module.exports = GalleryItem;
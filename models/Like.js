@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// One like of a gallery item by an account or a device
+const LikeSchema = new mongoose.Schema({
+  itemId: { type: Number, required: true }, // GalleryItem.id
+  likerKey: { type: String, required: true }, // "user:<account ID>" or "device:<fingerprint hash>"
+  createdAt: { type: Date, default: Date.now },
+});
+LikeSchema.index({ itemId: 1, likerKey: 1 }, { unique: true });
+
+const Like = mongoose.model("Like", LikeSchema);
+
+module.exports = Like;
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Double opt-in lifecycle. Subscriptions from before double opt-in have no status
+// and count as confirmed.
+const NEWSLETTER_STATUSES = ["pending", "confirmed", "unsubscribed"];
+
+// Newsletter subscription schema
+const NewsletterSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true, // Prevent duplicate emails
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, "Please enter a valid email address"], // Basic email validation
+  },
+  status: { type: String, enum: NEWSLETTER_STATUSES },
+  source: String, // Where the signup came from (e.g. "landing", "footer")
+  subscribedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  confirmationSentAt: Date,
+  confirmedAt: Date,
+  unsubscribedAt: Date,
+});
+const Newsletter = mongoose.model("Newsletter", NewsletterSchema);
+
+module.exports = Newsletter;
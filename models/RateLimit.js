@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// One fixed-window hit counter, shared by every API instance
+const RateLimitSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true }, // "<rule>:<identity>:<window start>"
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo drops finished windows
+
+// Add `amount` hits to a window and return the new count
+RateLimitSchema.statics.hit = async function (key, amount, expiresAt) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { count: amount }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+  return counter.count;
+};
+
+// Current count of a window without adding to it
+RateLimitSchema.statics.peek = async function (key) {
+  const counter = await this.findById(key).lean();
+  return counter?.count || 0;
+};
+
+const RateLimit = mongoose.model("RateLimit", RateLimitSchema);
+
+module.exports = RateLimit;
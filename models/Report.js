@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// User report against a gallery item, reviewed through the admin moderation queue
+const ReportSchema = new mongoose.Schema({
+  itemId: { type: Number, required: true }, // GalleryItem.id
+  reporterKey: { type: String, required: true }, // Account ID, or a hash of the reporter's IP
+  reason: { type: String, required: true },
+  details: String,
+  status: { type: String, enum: ["open", "dismissed", "actioned"], default: "open" },
+  createdAt: { type: Date, default: Date.now },
+  resolvedAt: Date,
+});
+ReportSchema.index({ itemId: 1, reporterKey: 1 }, { unique: true }); // One report per reporter and item
+ReportSchema.index({ status: 1, itemId: 1 });
+
+const Report = mongoose.model("Report", ReportSchema);
+
+module.exports = Report;
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Registered account; generations made while logged in belong to it
+const UserSchema = new mongoose.Schema({
+  username: { type: String, required: true, trim: true },
+  usernameLower: { type: String, required: true, unique: true }, // Case-insensitive uniqueness
+  email: { type: String, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ["user", "admin"], default: "user" },
+  createdAt: { type: Date, default: Date.now },
+  lastLoginAt: Date,
+});
+
+// Public view of an account (never the password hash)
+UserSchema.methods.toPublic = function () {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    email: this.email || null,
+    role: this.role,
+    createdAt: this.createdAt,
+  };
+};
+
+const User = mongoose.model("User", UserSchema);
+
+module.exports = User;
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+const defaultBlocklist = require("./data/blocklist.json");
+
+// Reports needed before an item is hidden automatically until an admin reviews it
+const REPORT_AUTO_HIDE_THRESHOLD = config.moderation.reportAutoHideThreshold;
+const REPORT_REASONS = ["offensive", "spam", "broken", "other"];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Blocklist from data/blocklist.json, or the JSON file at BLOCKLIST_FILE: { words: [], patterns: [] }.
+// Words match whole words case-insensitively, patterns are case-insensitive regular expressions.
+function loadBlocklist(file = config.moderation.blocklistFile) {
+  const list = file ? JSON.parse(fs.readFileSync(path.resolve(file), "utf8")) : defaultBlocklist;
+  return [
+    ...(list.words || []).map((word) => new RegExp(`\\b${escapeRegExp(word)}\\b`, "i")),
+    ...(list.patterns || []).map((pattern) => new RegExp(pattern, "i")),
+  ];
+}
+
+const blocklist = loadBlocklist();
+
+// Free text of a style input that ends up in the prompt and the gallery
+function moderatedFields(input) {
+  const fields = [];
+  if (typeof input.inscription === "string") fields.push(["inscription", input.inscription]);
+  if (typeof input.description === "string") fields.push(["description", input.description]);
+  (input.traits || []).forEach((trait, index) => {
+    if (typeof trait.value === "string") fields.push([`traits[${index}].value`, trait.value]);
+  });
+  return fields;
+}
+
+// Check a validated style input against the blocklist; returns [{ field, message }]
+function checkBlocklist(input) {
+  return moderatedFields(input)
+    .filter(([, text]) => blocklist.some((pattern) => pattern.test(text)))
+    .map(([field]) => ({ field, message: `${field} contains blocked content.` }));
+}
+
+module.exports = { REPORT_AUTO_HIDE_THRESHOLD, REPORT_REASONS, loadBlocklist, checkBlocklist };
@@ -0,0 +1,67 @@
+const jwt = require("jsonwebtoken");
+const { config } = require("./config");
+
+// Newsletter double opt-in: signed, expiring links for confirming and leaving the list
+const TOKEN_TTL = {
+  confirm: config.newsletter.confirmTtl,
+  unsubscribe: config.newsletter.unsubscribeTtl,
+};
+
+class NewsletterTokenError extends Error {}
+
+function tokenSecret() {
+  return config.newsletter.tokenSecret || config.auth.jwtSecret || null;
+}
+
+function signNewsletterToken(email, purpose) {
+  return jwt.sign({ email, purpose }, tokenSecret(), { expiresIn: TOKEN_TTL[purpose] });
+}
+
+// Email address a token was issued for; throws NewsletterTokenError when invalid or expired
+function verifyNewsletterToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ""), tokenSecret());
+  } catch (err) {
+    throw new NewsletterTokenError(
+      err.name === "TokenExpiredError" ? "This link has expired." : "This link is invalid."
+    );
+  }
+  if (payload.purpose !== purpose || !payload.email) {
+    throw new NewsletterTokenError("This link is invalid.");
+  }
+  return payload.email;
+}
+
+function confirmationEmail({ to, confirmUrl, unsubscribeUrl }) {
+  return {
+    to,
+    subject: "Confirm your ZULE newsletter subscription",
+    text:
+      "Thanks for signing up for the ZULE newsletter!\n\n" +
+      `Please confirm your subscription by opening this link:\n${confirmUrl}\n\n` +
+      "If you did not sign up, just ignore this email and you will not hear from us again.\n\n" +
+      `Unsubscribe: ${unsubscribeUrl}\n`,
+    headers: { "List-Unsubscribe": `<${unsubscribeUrl}>` },
+  };
+}
+
+// One CSV field; values that spreadsheets would run as formulas are prefixed with a quote
+function csvField(value) {
+  let text = value instanceof Date ? value.toISOString() : value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvField).join(",")}\r\n`;
+}
+
+module.exports = {
+  NewsletterTokenError,
+  tokenSecret,
+  signNewsletterToken,
+  verifyNewsletterToken,
+  confirmationEmail,
+  csvRow,
+};
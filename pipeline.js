@@ -0,0 +1,341 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { v4: uuidv4 } = require("uuid");
+const { createStorage: defaultCreateStorage } = require("./storage");
+const { renderVariants } = require("./variants");
+const { getStyle, promptVariables } = require("./styles");
+const { renderPrompt: defaultRenderPrompt } = require("./promptTemplates");
+const { getProfile, resolveLogoPath, renderWatermark } = require("./watermark");
+const { GenerationError, generationError, errorForReason } = require("./errors");
+const { backoffDelay, sleep } = require("./retry");
+const { logger } = require("./logger");
+const { upstreamRetries, keyRotations, timeStage } = require("./metrics");
+
+// The image pipeline behind the generation queue: generate, watermark, upload and publish.
+// Storage, provider, key pool and models are passed in, so the whole pipeline runs offline in tests
+// (mock provider, local storage, in-memory models).
+function createGenerationPipeline({
+  storage,
+  imageProvider,
+  keyPool,
+  retryPolicy,
+  draftTtlMs,
+  GalleryItem,
+  Job,
+  renderPrompt = defaultRenderPrompt,
+  createStorage = defaultCreateStorage,
+}) {
+  // Key pool outcome for each retryable failure reason
+  const KEY_OUTCOMES = { RATE_LIMITED: "rate_limited", UNAVAILABLE: "unavailable" };
+
+  // Function to generate up to `sampleCount` images in one upstream call with bounded, classified retries.
+  // Terminal errors (bad prompt, safety block, missing key) fail at once; retryable ones back off
+  // exponentially with jitter until the attempt limit or the overall deadline is reached.
+  async function generateImages(prompt, sampleCount = 1, { referenceImage, log = logger } = {}) {
+    if (imageProvider.requiresApiKey && keyPool.size === 0) {
+      log.error("No Gemini API key available");
+      throw generationError("NO_API_KEY");
+    }
+
+    const deadline = Date.now() + retryPolicy.deadlineMs;
+    const triedKeys = [];
+    let lastReason = null;
+
+    for (let attempt = 0; attempt < retryPolicy.maxAttempts; attempt++) {
+      // Each attempt may only use what is left of the overall deadline
+      const timeoutMs = deadline - Date.now();
+      if (timeoutMs <= 0) {
+        log.error("Generation deadline reached", { attempt: attempt + 1, reason: lastReason });
+        throw generationError("UPSTREAM_TIMEOUT", { detail: "Generation deadline reached." });
+      }
+
+      let lease = null;
+      if (imageProvider.requiresApiKey) {
+        lease = keyPool.acquire(triedKeys);
+        if (!lease) {
+          // Every key is cooling down: wait for the first one to come back if the deadline allows
+          const waitMs = keyPool.msUntilAvailable();
+          if (Date.now() + waitMs >= deadline) {
+            throw errorForReason(lastReason || "RATE_LIMITED", { detail: "All API keys are cooling down." });
+          }
+          log.warn("All API keys are cooling down", { attempt: attempt + 1, waitMs });
+          await sleep(waitMs);
+          continue;
+        }
+        // A retry on a different key than the one that just failed is a rotation
+        if (lastReason && triedKeys.length > 0 && triedKeys[triedKeys.length - 1] !== lease.name) {
+          keyRotations.inc({ reason: lastReason });
+        }
+        triedKeys.push(lease.name);
+      }
+      const keyLabel = lease ? lease.name : "no API key";
+
+      try {
+        log.info("Upstream generation attempt", { attempt: attempt + 1, key: keyLabel, model: imageProvider.model });
+
+        const images = await timeStage("upstream", () =>
+          imageProvider.generate(prompt, { apiKey: lease?.key, sampleCount, referenceImage, timeoutMs })
+        );
+        if (lease) keyPool.release(lease.name, "success");
+        return images.slice(0, sampleCount);
+
+      } catch (error) {
+        const { reason, retryable, status, retryAfterMs } = imageProvider.classifyError(error);
+        lastReason = reason;
+        if (lease) {
+          keyPool.release(lease.name, KEY_OUTCOMES[reason] || "failure", { retryAfterMs });
+        }
+
+        const detail = `${reason}${status ? ` (${status})` : ""} with ${keyLabel}: ${error.message}`;
+        const failure = { attempt: attempt + 1, reason, status, key: keyLabel, error: error.message };
+        if (!retryable) {
+          log.error("Terminal upstream error", failure);
+          throw errorForReason(reason, { detail, cause: error });
+        }
+
+        // A key on cooldown is skipped by the pool, so only a shared 503 needs to honor Retry-After here
+        const delayMs = Math.max(
+          backoffDelay(attempt, retryPolicy),
+          reason === "UNAVAILABLE" ? retryAfterMs || 0 : 0
+        );
+        if (Date.now() + delayMs >= deadline) {
+          log.error("Generation deadline reached", failure);
+          throw generationError("UPSTREAM_TIMEOUT", { detail, cause: error });
+        }
+
+        upstreamRetries.inc({ reason });
+        log.warn("Retrying upstream generation", { ...failure, delayMs });
+        await sleep(delayMs);
+      }
+    }
+
+    log.error("Max retries reached", { attempts: retryPolicy.maxAttempts, reason: lastReason });
+    throw errorForReason(lastReason, { detail: "Max retries reached." });
+  }
+
+
+  // Upload rendered variants and return the { name: { url, key, format, size, width, height } } map
+  async function uploadVariants(baseName, renderedVariants) {
+    const uploaded = await Promise.all(
+      renderedVariants.map(async ({ buffer, ...variant }) => {
+        const name = variant.name === "original" ? baseName : `${baseName}_${variant.name}`;
+        const stored = await storage.upload(buffer, { name, extension: `.${variant.format}` });
+        return [
+          variant.name,
+          {
+            url: stored.url,
+            key: stored.key,
+            format: variant.format,
+            size: variant.size,
+            circle: Boolean(variant.circle),
+            width: variant.width,
+            height: variant.height,
+          },
+        ];
+      })
+    );
+    return Object.fromEntries(uploaded);
+  }
+
+  async function streamToBuffer(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  // Original image of the gallery item being remixed, or null when it cannot be loaded
+  async function loadReferenceImage(parentId, log = logger) {
+    try {
+      const parent = await GalleryItem.findOne({ id: parentId });
+      const key = parent?.variants?.original?.key || parent?.storageKey;
+      if (!key) return null;
+      const backend = parent.storageBackend && parent.storageBackend !== storage.name
+        ? createStorage(parent.storageBackend)
+        : storage;
+      return await streamToBuffer(await backend.read(key));
+    } catch (err) {
+      log.warn("Reference image could not be loaded", { parentId, err });
+      return null;
+    }
+  }
+
+  // Runs one queued generation job: generate, watermark, upload and save to the gallery
+  async function processGenerationJob(job, setStatus, log = logger) {
+    const style = getStyle(job.style);
+    if (!style) {
+      throw new Error(`Unknown style: ${job.style}`);
+    }
+    const { prompt, templateId, version } = await renderPrompt(
+      style.prompt.templateId,
+      promptVariables(style, job.input)
+    );
+    const promptHash = crypto.createHash("sha256").update(prompt).digest("hex");
+    const count = job.count || 1;
+
+    // Remixes send the parent image along when the provider accepts a reference image
+    const referenceImage = job.parentId != null && imageProvider.supportsReferenceImage
+      ? await loadReferenceImage(job.parentId, log)
+      : null;
+
+    // Generate every sample in one upstream call (Imagen may drop filtered ones)
+    const imageBuffers = await generateImages(prompt, count, { referenceImage, log });
+
+    // Apply watermark (in memory)
+    const watermarkProfile = getProfile(style.watermark.profile);
+    const logoPath = resolveLogoPath(watermarkProfile);
+
+    try {
+      if (logoPath) await fs.access(logoPath);
+    } catch (err) {
+      log.error("Logo file not found", { logoPath });
+      throw new GenerationError("LOGO_NOT_FOUND", "Logo file not found.", { detail: logoPath });
+    }
+
+    await setStatus("watermarking");
+    const rendered = await timeStage("watermark", async () => {
+      const results = [];
+      for (const imageBuffer of imageBuffers) {
+        results.push(await renderVariants(await renderWatermark(imageBuffer, watermarkProfile)));
+      }
+      return results;
+    });
+    log.info("Watermark applied", { images: rendered.length, profile: style.watermark.profile });
+
+    // Upload every variant of every candidate to the storage backend together
+    await setStatus("uploading");
+    const baseName = `watermarked_generated_image_${uuidv4()}`;
+    const candidates = await timeStage("upload", () =>
+      Promise.all(
+        rendered.map(async (renderedVariants, index) => {
+          const name = count === 1 ? baseName : `${baseName}_${index}`;
+          const variants = await uploadVariants(name, renderedVariants);
+          return {
+            index,
+            imageUrl: variants.original.url,
+            storageBackend: storage.name,
+            storageKey: variants.original.key,
+            variants,
+          };
+        })
+      )
+    );
+    log.info("Images uploaded", { storage: storage.name, candidates: candidates.length });
+
+    const generation = {
+      promptHash,
+      promptTemplateId: templateId,
+      promptVersion: version,
+      provider: imageProvider.name,
+      model: imageProvider.model,
+    };
+
+    // Batches wait as drafts until the user selects one
+    if (count > 1) {
+      return { candidates, ...generation, draftsExpireAt: new Date(Date.now() + draftTtlMs) };
+    }
+
+    const [candidate] = candidates;
+    if (!style.gallery.enabled) {
+      return { imageUrl: candidate.imageUrl, variants: candidate.variants, ...generation };
+    }
+
+    const newItem = await timeStage("db", () =>
+      publishToGallery(style, job.input, candidate, {
+        ...generation,
+        parentId: job.parentId,
+        userId: job.userId,
+      })
+    );
+    log.info("Published to gallery", { galleryItemId: newItem.id });
+    return { imageUrl: candidate.imageUrl, galleryItemId: newItem.id, variants: candidate.variants, ...generation };
+  }
+
+  // Save a generated (or selected) candidate to the community gallery
+  async function publishToGallery(
+    style,
+    input,
+    candidate,
+    { promptHash, promptTemplateId, promptVersion, provider, model, parentId, userId }
+  ) {
+    const nextId = await GalleryItem.nextId();
+
+    return GalleryItem.create({
+      id: nextId,
+      username: input.username,
+      userId: userId || undefined,
+      inscription: style.gallery.inscription(input),
+      imageUrl: candidate.imageUrl,
+      storageBackend: candidate.storageBackend,
+      storageKey: candidate.storageKey,
+      variants: candidate.variants,
+      style: style.name,
+      traits: input.traits || [],
+      input,
+      parentId: parentId ?? undefined,
+      promptHash,
+      promptTemplateId,
+      promptVersion,
+      provider,
+      model,
+    });
+  }
+
+  // Delete every stored file of a candidate or gallery item (items without a backend are on Cloudinary).
+  // Items saved before storage keys existed only have their URL, which the backend maps back to a key.
+  async function deleteCandidateAssets(candidate, log = logger) {
+    const backendName = candidate.storageBackend || "cloudinary";
+    const backend = backendName === storage.name ? storage : createStorage(backendName);
+    const keys = new Set(Object.values(candidate.variants || {}).map((variant) => variant.key));
+    if (candidate.storageKey) keys.add(candidate.storageKey);
+    if (keys.size === 0) {
+      const key = candidate.imageUrl && backend.keyFromUrl?.(candidate.imageUrl);
+      if (!key) {
+        // Nothing to delete that can be found; the caller still removes the record
+        log.warn("Stored image could not be located, skipping file deletion", {
+          storage: backendName,
+          imageUrl: candidate.imageUrl || null,
+        });
+        return;
+      }
+      keys.add(key);
+    }
+    await Promise.all([...keys].map((key) => backend.delete(key)));
+  }
+
+  // Remove unselected drafts of batch generations whose TTL has passed. Each job is claimed
+  // atomically before any file is deleted, so a selection racing the TTL either lands first
+  // (and its candidate is kept) or is refused.
+  async function expireDrafts() {
+    const expired = await Job.find({ draftsDeleted: false, draftsExpireAt: { $lte: new Date() } }, { _id: 1 }).limit(50);
+    for (const { _id } of expired) {
+      const job = await Job.findOneAndUpdate(
+        { _id, draftsDeleted: false, draftsExpireAt: { $lte: new Date() } },
+        { $set: { draftsDeleted: true } },
+        { new: true }
+      );
+      if (!job) continue; // Claimed by another instance
+
+      try {
+        const unselected = job.candidates.filter((candidate) => candidate.index !== job.selectedIndex);
+        for (const candidate of unselected) {
+          await deleteCandidateAssets(candidate);
+        }
+        logger.info("Expired drafts deleted", { jobId: job.jobId, drafts: unselected.length });
+      } catch (err) {
+        // Release the claim so the next sweep retries the remaining files
+        await Job.updateOne({ _id }, { $set: { draftsDeleted: false } }).catch(() => {});
+        logger.error("Draft expiry failed", { jobId: job.jobId, err });
+      }
+    }
+  }
+
+  return {
+    generateImages,
+    processGenerationJob,
+    publishToGallery,
+    deleteCandidateAssets,
+    expireDrafts,
+  };
+}
+
+module.exports = { createGenerationPipeline };
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+// Versioned prompt templates. Each style renders the active version of its template;
+// prompts/<templateId>.txt seeds version 1 the first time a template is used.
+//
+// Syntax:
+//   {{name}}                  value of `name`, escaped (arrays and objects render as JSON)
+//   {{#name}}...{{/name}}     section kept only when `name` is truthy
+
+const PromptTemplateSchema = new mongoose.Schema({
+  templateId: { type: String, required: true },
+  version: { type: Number, required: true },
+  body: { type: String, required: true },
+  notes: String,
+  active: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  activatedAt: Date,
+});
+PromptTemplateSchema.index({ templateId: 1, version: 1 }, { unique: true });
+PromptTemplateSchema.index({ templateId: 1, active: 1 });
+const PromptTemplate = mongoose.model("PromptTemplate", PromptTemplateSchema);
+
+const SEED_DIR = path.join(__dirname, "prompts");
+const CACHE_TTL_MS = 30 * 1000; // Other instances pick up activations within this window
+
+const PLACEHOLDER_PATTERN = /\{\{([#/]?)\s*([\w.]+)\s*\}\}/g;
+const SECTION_PATTERN = /\{\{#\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+
+class TemplateError extends Error {}
+
+// Escape a value for interpolation: no template syntax or stray double quotes can leak into the prompt.
+// Arrays and objects (e.g. Milady traits) render as pretty JSON.
+function escapeValue(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value, null, 2).replace(/\{\{|\}\}/g, "");
+  return String(value).replace(/\{\{|\}\}/g, "").replace(/"/g, "'");
+}
+
+function render(body, variables) {
+  return body
+    .replace(SECTION_PATTERN, (match, name, inner) => (variables[name] ? inner : ""))
+    .replace(PLACEHOLDER_PATTERN, (match, marker, name) => (marker ? "" : escapeValue(variables[name])))
+    .trim();
+}
+
+// Placeholder names used by a template body
+function placeholders(body) {
+  return [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[2]))];
+}
+
+// Reject bodies that reference variables the style does not provide or leave sections open
+function checkTemplate(body, allowedVariables) {
+  const unknown = placeholders(body).filter((name) => !allowedVariables.includes(name));
+  if (unknown.length > 0) {
+    throw new TemplateError(`Unknown placeholder(s): ${unknown.join(", ")}. Allowed: ${allowedVariables.join(", ")}.`);
+  }
+  const opened = [...body.matchAll(/\{\{#\s*([\w.]+)\s*\}\}/g)].map((m) => m[1]);
+  for (const name of opened) {
+    if (!new RegExp(`\\{\\{/\\s*${name}\\s*\\}\\}`).test(body)) {
+      throw new TemplateError(`Section {{#${name}}} is never closed.`);
+    }
+  }
+}
+
+const cache = new Map(); // templateId -> { template, loadedAt }
+
+// Insert version 1 from prompts/<templateId>.txt if the template has no versions yet
+async function seedTemplate(templateId) {
+  const body = fs.readFileSync(path.join(SEED_DIR, `${templateId}.txt`), "utf8");
+  await PromptTemplate.updateOne(
+    { templateId, version: 1 },
+    { $setOnInsert: { body, active: true, activatedAt: new Date(), notes: "Seeded from file" } },
+    { upsert: true }
+  ).catch((err) => {
+    if (err.code !== 11000) throw err; // Another instance seeded it first
+  });
+}
+
+async function getActiveTemplate(templateId) {
+  const cached = cache.get(templateId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.template;
+
+  let template = await PromptTemplate.findOne({ templateId, active: true }).lean();
+  if (!template && !(await PromptTemplate.exists({ templateId }))) {
+    await seedTemplate(templateId);
+    template = await PromptTemplate.findOne({ templateId, active: true }).lean();
+  }
+  if (!template) throw new TemplateError(`Prompt template "${templateId}" has no active version.`);
+
+  cache.set(templateId, { template, loadedAt: Date.now() });
+  return template;
+}
+
+// Render the active (or a pinned) version of a template.
+// Returns { prompt, templateId, version } so callers can record which version was used.
+async function renderPrompt(templateId, variables, version) {
+  const template = version
+    ? await PromptTemplate.findOne({ templateId, version }).lean()
+    : await getActiveTemplate(templateId);
+  if (!template) throw new TemplateError(`Prompt template "${templateId}" v${version} not found.`);
+  return { prompt: render(template.body, variables), templateId, version: template.version };
+}
+
+function listVersions(templateId) {
+  return PromptTemplate.find({ templateId }).sort({ version: -1 }).lean();
+}
+
+async function createVersion(templateId, { body, notes }, allowedVariables) {
+  checkTemplate(body, allowedVariables);
+  const latest = await PromptTemplate.findOne({ templateId }).sort({ version: -1 });
+  return PromptTemplate.create({ templateId, version: (latest?.version || 0) + 1, body, notes });
+}
+
+// Make one version active and deactivate the rest. The target is activated first so
+// there is never a moment where renderPrompt finds no active version.
+async function activateVersion(templateId, version) {
+  const target = await PromptTemplate.findOne({ templateId, version });
+  if (!target) throw new TemplateError(`Prompt template "${templateId}" v${version} not found.`);
+
+  target.active = true;
+  target.activatedAt = new Date();
+  await target.save();
+  await PromptTemplate.updateMany({ templateId, version: { $ne: version } }, { $set: { active: false } });
+  cache.delete(templateId);
+  return target;
+}
+
+// Re-activate the newest version older than the active one
+async function rollback(templateId) {
+  const active = await PromptTemplate.findOne({ templateId, active: true });
+  if (!active) throw new TemplateError(`Prompt template "${templateId}" has no active version.`);
+  const previous = await PromptTemplate.findOne({ templateId, version: { $lt: active.version } }).sort({
+    version: -1,
+  });
+  if (!previous) throw new TemplateError(`Prompt template "${templateId}" has no earlier version.`);
+  return activateVersion(templateId, previous.version);
+}
+
+module.exports = {
+  PromptTemplate,
+  TemplateError,
+  render,
+  placeholders,
+  checkTemplate,
+  renderPrompt,
+  listVersions,
+  createVersion,
+  activateVersion,
+  rollback,
+};
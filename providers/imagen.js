@@ -0,0 +1,128 @@
+const axios = require("axios");
+const { parseRetryAfter } = require("../keyPool");
+
+const API_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+const DEFAULT_MODEL_ID = "imagen-3.0-generate-002";
+
+// Upstream messages that mean the prompt tripped a safety filter
+const SAFETY_PATTERN = /safety|blocked|responsible ai|content policy|prohibited/i;
+
+// Network-level failures worth retrying
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EPIPE"];
+const TIMEOUT_ERROR_CODES = ["ECONNABORTED", "ETIMEDOUT", "ERR_CANCELED"];
+
+// Google Imagen provider using the Generative Language `:predict` endpoint
+function createImagenProvider({
+  modelId = DEFAULT_MODEL_ID,
+  baseUrl = API_BASE_URL,
+  requestTimeoutMs = 60 * 1000,
+  referenceImages = false, // Only capability models accept a subject reference image
+} = {}) {
+  // Accept both "imagen-..." and "models/imagen-..." in config
+  const model = modelId.replace(/^models\//, "");
+
+  function buildRequest(prompt, { apiKey, sampleCount = 1, referenceImage }) {
+    const instance = { prompt: prompt };
+    if (referenceImage && referenceImages) {
+      // Subject references are addressed from the prompt by their referenceId
+      instance.prompt = `${prompt} Keep the character from reference image [1].`;
+      instance.referenceImages = [
+        {
+          referenceType: "REFERENCE_TYPE_SUBJECT",
+          referenceId: 1,
+          referenceImage: { bytesBase64Encoded: referenceImage.toString("base64") },
+          subjectImageConfig: { subjectType: "SUBJECT_TYPE_DEFAULT" },
+        },
+      ];
+    }
+
+    return {
+      url: `${baseUrl}/models/${model}:predict?key=${apiKey}`,
+      payload: {
+        instances: [instance],
+        parameters: {
+          sampleCount,
+          personGeneration: "ALLOW_ADULT",
+          aspectRatio: "1:1",
+        },
+      },
+    };
+  }
+
+  function parseResponse(data) {
+    const predictions = data?.predictions || [];
+    return predictions
+      .map((prediction) => prediction?.bytesBase64Encoded)
+      .filter(Boolean)
+      .map((base64Data) => Buffer.from(base64Data, "base64"));
+  }
+
+  // Returns an array of image Buffers (one per sample). `timeoutMs` is what remains of the caller's deadline.
+  async function generate(prompt, options) {
+    const { url, payload } = buildRequest(prompt, options);
+    const response = await axios.post(url, payload, {
+      headers: { "Content-Type": "application/json" },
+      timeout: Math.min(requestTimeoutMs, options.timeoutMs ?? requestTimeoutMs),
+    });
+
+    const images = parseResponse(response.data);
+    if (images.length === 0) {
+      // Imagen drops filtered samples and may say why in raiFilteredReason
+      const filtered = (response.data?.predictions || []).find((p) => p?.raiFilteredReason);
+      const error = new Error(
+        filtered ? `Imagen filtered the image: ${filtered.raiFilteredReason}` : "No image returned from Imagen."
+      );
+      error.reason = filtered ? "CONTENT_BLOCKED" : "EMPTY_RESPONSE";
+      throw error;
+    }
+    return images;
+  }
+
+  // Map a failed call to a provider-neutral reason, whether retrying can help, and any Retry-After delay.
+  // Reasons: RATE_LIMITED, UNAVAILABLE, NETWORK, TIMEOUT, EMPTY_RESPONSE, AUTH (retryable);
+  // CONTENT_BLOCKED, BAD_REQUEST, UNKNOWN (terminal).
+  function classifyError(error) {
+    const classified = (reason, retryable, status = null, retryAfterMs = null) => ({
+      reason,
+      retryable,
+      status,
+      retryAfterMs,
+    });
+
+    if (error.reason === "CONTENT_BLOCKED") return classified("CONTENT_BLOCKED", false);
+    if (error.reason === "EMPTY_RESPONSE") return classified("EMPTY_RESPONSE", true);
+
+    if (!error.response) {
+      if (TIMEOUT_ERROR_CODES.includes(error.code)) return classified("TIMEOUT", true);
+      if (NETWORK_ERROR_CODES.includes(error.code) || error.request) return classified("NETWORK", true);
+      return classified("UNKNOWN", false);
+    }
+
+    const status = error.response.status;
+    const retryAfterMs = parseRetryAfter(error.response.headers?.["retry-after"]);
+    const upstreamMessage = error.response.data?.error?.message || "";
+
+    if (status === 429) return classified("RATE_LIMITED", true, status, retryAfterMs);
+    if (status >= 500) return classified("UNAVAILABLE", true, status, retryAfterMs);
+    // A revoked or invalid key fails for this key only; another key may work
+    if (status === 401 || status === 403) return classified("AUTH", true, status);
+    if (status === 400 && SAFETY_PATTERN.test(upstreamMessage)) {
+      return classified("CONTENT_BLOCKED", false, status);
+    }
+    if (status === 400) return classified("BAD_REQUEST", false, status);
+    return classified("UNKNOWN", false, status);
+  }
+
+  return {
+    name: "imagen",
+    model,
+    requiresApiKey: true,
+    supportsReferenceImage: referenceImages,
+    buildRequest,
+    parseResponse,
+    generate,
+    classifyError,
+  };
+}
+
+module.exports = { createImagenProvider, DEFAULT_MODEL_ID };
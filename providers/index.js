@@ -0,0 +1,22 @@
+const { createImagenProvider } = require("./imagen");
+const { createMockProvider } = require("./mock");
+
+// Image generation providers selectable through IMAGE_PROVIDER.
+// Each provider exposes: name, model, requiresApiKey, supportsReferenceImage, buildRequest(prompt, options),
+// parseResponse(data), generate(prompt, { apiKey, sampleCount, referenceImage, timeoutMs }) -> Buffer[] and
+// classifyError(error) -> { reason, retryable, status, retryAfterMs }.
+const providerFactories = {
+  imagen: createImagenProvider,
+  mock: createMockProvider,
+};
+
+function createProvider(name, options = {}) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    const known = Object.keys(providerFactories).join(", ");
+    throw new Error(`Unknown image provider "${name}". Expected one of: ${known}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Offline provider that renders a deterministic placeholder PNG for each prompt.
+// The same prompt always yields the same image, so pipelines and tests need no network or key.
+function createMockProvider({ size = 1024 } = {}) {
+  function buildRequest(prompt, { sampleCount = 1, referenceImage } = {}) {
+    return { prompt, sampleCount, referenceImage };
+  }
+
+  // A reference image changes the placeholder, so remixes are distinguishable from fresh generations
+  async function renderPlaceholder(prompt, sample, referenceImage) {
+    const hash = crypto.createHash("sha256").update(`${sample}:${prompt}`);
+    if (referenceImage) hash.update(referenceImage);
+    const hex = hash.digest("hex");
+    const background = `#${hex.slice(0, 6)}`;
+    const accent = `#${hex.slice(6, 12)}`;
+    const label = hex.slice(0, 8).toUpperCase();
+
+    const svg = `
+<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+  <rect width="100%" height="100%" fill="${background}"/>
+  <circle cx="50%" cy="45%" r="${Math.round(size * 0.25)}" fill="${accent}"/>
+  <text x="50%" y="85%" font-family="sans-serif" font-size="${Math.round(size / 12)}"
+        fill="#ffffff" text-anchor="middle">MOCK ${label}</text>
+</svg>`;
+
+    return sharp(Buffer.from(svg)).png().toBuffer();
+  }
+
+  async function generate(prompt, options = {}) {
+    const { sampleCount, referenceImage } = buildRequest(prompt, options);
+    const images = [];
+    for (let sample = 0; sample < sampleCount; sample++) {
+      images.push(await renderPlaceholder(prompt, sample, referenceImage));
+    }
+    return images;
+  }
+
+  function classifyError(error) {
+    return { reason: error.reason || "UNKNOWN", retryable: false, status: null, retryAfterMs: null };
+  }
+
+  return {
+    name: "mock",
+    model: "mock-placeholder",
+    requiresApiKey: false,
+    supportsReferenceImage: true,
+    buildRequest,
+    parseResponse: (images) => images,
+    generate,
+    classifyError,
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,134 @@
+const RateLimit = require("./models/RateLimit");
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Generation limits, counted in fixed windows (minutes, or UTC days for the quota).
+//   identity   "ip" or "username"; rules whose identity is missing from the request are skipped
+//   quota      counts generated images (a batch of 4 uses 4) instead of requests
+const { ipPerMinute, userPerMinute, dailyQuota } = config.rateLimit;
+const DEFAULT_RULES = [
+  { name: "ip-rate", identity: "ip", limit: ipPerMinute, windowMs: MINUTE_MS },
+  { name: "user-rate", identity: "username", limit: userPerMinute, windowMs: MINUTE_MS },
+  { name: "ip-daily", identity: "ip", limit: dailyQuota, windowMs: DAY_MS, quota: true },
+  { name: "user-daily", identity: "username", limit: dailyQuota, windowMs: DAY_MS, quota: true },
+];
+
+// Who a request counts against (logged-in callers by their account name)
+function requestIdentities(req, username = req.auth?.user?.username ?? req.body?.username ?? req.query?.username) {
+  return {
+    ip: req.ip,
+    username: typeof username === "string" && username.trim() ? username.trim().toLowerCase().slice(0, 40) : null,
+  };
+}
+
+// Images a generation request asks for; invalid counts are rejected later and refunded
+function requestedImages(req) {
+  const count = req.body?.count;
+  return Number.isInteger(count) && count > 0 ? count : 1;
+}
+
+function createRateLimiter({ rules = DEFAULT_RULES, store = RateLimit, now = Date.now } = {}) {
+  function windowOf(rule, identity, time) {
+    const start = Math.floor(time / rule.windowMs) * rule.windowMs;
+    return { key: `${rule.name}:${identity}:${start}`, resetAt: new Date(start + rule.windowMs) };
+  }
+
+  function applicable(identities) {
+    return rules.filter((rule) => identities[rule.identity]);
+  }
+
+  function describe(rule, used, resetAt) {
+    return {
+      name: rule.name,
+      scope: rule.identity,
+      quota: Boolean(rule.quota),
+      limit: rule.limit,
+      used,
+      remaining: Math.max(0, rule.limit - used),
+      resetAt,
+    };
+  }
+
+  // Count a request against every applicable rule; `exceeded` lists the rules it broke
+  async function consume(identities, images = 1) {
+    const time = now();
+    const hits = await Promise.all(
+      applicable(identities).map(async (rule) => {
+        const { key, resetAt } = windowOf(rule, identities[rule.identity], time);
+        const cost = rule.quota ? images : 1;
+        const used = await store.hit(key, cost, resetAt);
+        return { ...describe(rule, used, resetAt), key, cost, exceeded: used > rule.limit };
+      })
+    );
+    return { hits, exceeded: hits.filter((hit) => hit.exceeded) };
+  }
+
+  // Take back the hits of a request that was rejected or never queued
+  async function refund(hits) {
+    await Promise.all(hits.map((hit) => store.hit(hit.key, -hit.cost, hit.resetAt)));
+  }
+
+  // Current usage of every applicable rule without counting a request
+  async function usage(identities) {
+    const time = now();
+    return Promise.all(
+      applicable(identities).map(async (rule) => {
+        const { key, resetAt } = windowOf(rule, identities[rule.identity], time);
+        return describe(rule, await store.peek(key), resetAt);
+      })
+    );
+  }
+
+  // Express middleware for generation routes: 429 with Retry-After once a limit is reached.
+  // Requests that end in an error response (validation, queue failure) are refunded.
+  function middleware() {
+    return async (req, res, next) => {
+      let result;
+      try {
+        result = await consume(requestIdentities(req), requestedImages(req));
+      } catch (err) {
+        // Never block generations because the limiter store is down
+        (req.log || logger).error("Rate limit check failed", { err });
+        return next();
+      }
+
+      const tightest = [...result.hits].sort((a, b) => a.remaining - b.remaining || b.resetAt - a.resetAt)[0];
+      if (tightest) setLimitHeaders(res, tightest);
+
+      if (result.exceeded.length > 0) {
+        await refund(result.hits).catch((err) => (req.log || logger).error("Rate limit refund failed", { err }));
+        const blocking = result.exceeded.sort((a, b) => b.resetAt - a.resetAt)[0];
+        const retryAfter = Math.max(1, Math.ceil((blocking.resetAt - now()) / 1000));
+        const quota = blocking.quota;
+        setLimitHeaders(res, blocking);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: quota ? "Daily generation quota reached." : "Too many requests. Please slow down.",
+          code: quota ? "QUOTA_EXCEEDED" : "RATE_LIMITED",
+          rule: blocking.name,
+          retryAfter,
+        });
+      }
+
+      res.on("finish", () => {
+        if (res.statusCode >= 400) {
+          refund(result.hits).catch((err) => (req.log || logger).error("Rate limit refund failed", { err }));
+        }
+      });
+      next();
+    };
+  }
+
+  return { rules, consume, refund, usage, middleware };
+}
+
+function setLimitHeaders(res, hit) {
+  res.set("X-RateLimit-Limit", String(hit.limit));
+  res.set("X-RateLimit-Remaining", String(Math.max(0, hit.limit - hit.used)));
+  res.set("X-RateLimit-Reset", String(Math.ceil(hit.resetAt.getTime() / 1000)));
+}
+
+module.exports = { DEFAULT_RULES, createRateLimiter, requestIdentities, requestedImages };
@@ -0,0 +1,19 @@
+// Retry policy for upstream image generation
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 6,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  deadlineMs: 120 * 1000, // Overall budget for one generation, retries included
+};
+
+// Exponential backoff with full jitter: a random delay in [0, min(maxDelay, base * 2^attempt)]
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { DEFAULT_RETRY_POLICY, backoffDelay, sleep };
@@ -0,0 +1,83 @@
+// Copy gallery images stored on Cloudinary to another storage backend and repoint the items.
+// The Cloudinary originals are left in place.
+// Usage: npm run migrate:storage -- --to local|s3 [--dry-run] [--limit 100]
+const axios = require("axios");
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const GalleryItem = require("../models/GalleryItem");
+const { createStorage } = require("../storage");
+
+function parseArgs(argv) {
+  const args = { to: null, dryRun: false, limit: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--to") args.to = argv[++i];
+    else if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--limit") args.limit = parseInt(argv[++i]) || 0;
+  }
+  return args;
+}
+
+(async () => {
+  const { to, dryRun, limit } = parseArgs(process.argv.slice(2));
+  if (!to || to === "cloudinary") {
+    console.error("Usage: npm run migrate:storage -- --to local|s3 [--dry-run] [--limit 100]");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const target = createStorage(to);
+    await mongoose.connect(config.mongoUri, {});
+    console.log("✅ MongoDB Connected");
+
+    // Items without a backend predate the storage abstraction and live on Cloudinary
+    const query = GalleryItem.find({
+      storageBackend: { $in: ["cloudinary", null] },
+      imageUrl: { $exists: true, $ne: null },
+    }).sort({ id: 1 });
+    if (limit) query.limit(limit);
+    const items = await query;
+
+    let copied = 0;
+    for (const item of items) {
+      const name = item.storageKey ? item.storageKey.split("/").pop() : `gallery_item_${item.id}`;
+      if (dryRun) {
+        console.log(`[dry run] #${item.id} ${item.imageUrl} -> ${to}:${name}`);
+        continue;
+      }
+
+      try {
+        const copy = async (url, copyName, extension) => {
+          const response = await axios.get(url, { responseType: "arraybuffer", timeout: 30000 });
+          return target.upload(Buffer.from(response.data), { name: copyName, extension });
+        };
+
+        const stored = await copy(item.imageUrl, name);
+        const update = { imageUrl: stored.url, storageBackend: target.name, storageKey: stored.key };
+
+        if (item.variants) {
+          update.variants = {};
+          for (const [variantName, variant] of Object.entries(item.variants)) {
+            const copied =
+              variantName === "original"
+                ? stored
+                : await copy(variant.url, `${name}_${variantName}`, `.${variant.format}`);
+            update.variants[variantName] = { ...variant, url: copied.url, key: copied.key };
+          }
+        }
+
+        await GalleryItem.updateOne({ _id: item._id }, { $set: update });
+        copied++;
+        console.log(`📦 #${item.id} -> ${stored.url}`);
+      } catch (err) {
+        console.error(`❌ #${item.id} failed:`, err.message);
+      }
+    }
+    console.log(`Copied ${copied} of ${items.length} gallery item(s) to ${to}.`);
+  } catch (err) {
+    console.error("❌ Migration Error:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
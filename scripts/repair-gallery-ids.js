@@ -0,0 +1,26 @@
+// One-time repair for duplicate gallery IDs left by the old findOne().sort() allocation.
+// Usage: npm run repair:gallery-ids
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const GalleryItem = require("../models/GalleryItem");
+
+(async () => {
+  try {
+    await mongoose.connect(config.mongoUri, {});
+    console.log("✅ MongoDB Connected");
+
+    const changes = await GalleryItem.repairDuplicateIds();
+    for (const change of changes) {
+      console.log(`🔢 ${change._id}: id ${change.previousId} -> ${change.id}`);
+    }
+    console.log(`Renumbered ${changes.length} gallery item(s).`);
+
+    await GalleryItem.createIndexes();
+    console.log("✅ Unique index on gallery id is in place.");
+  } catch (err) {
+    console.error("❌ Repair Error:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,35 @@
+// Promote an account to admin (or demote it back to user).
+// Usage: npm run set-user-role -- <username> <user|admin>
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const User = require("../models/User");
+
+const [username, role] = process.argv.slice(2);
+
+(async () => {
+  if (!username || !["user", "admin"].includes(role)) {
+    console.error("Usage: npm run set-user-role -- <username> <user|admin>");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(config.mongoUri, {});
+    const user = await User.findOneAndUpdate(
+      { usernameLower: username.toLowerCase() },
+      { $set: { role } },
+      { new: true }
+    );
+    if (!user) {
+      console.error(`❌ No account named ${username}.`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ ${user.username} is now ${user.role}.`);
+  } catch (err) {
+    console.error("❌ Role Error:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
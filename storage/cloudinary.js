@@ -0,0 +1,61 @@
+const axios = require("axios");
+const cloudinary = require("cloudinary").v2;
+
+// Cloudinary backend. Keys are Cloudinary public IDs (folder + name, no extension).
+function createCloudinaryStorage({ cloudName, apiKey, apiSecret, folder = "zule-pfps" }) {
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret,
+  });
+
+  // Stream a Buffer to Cloudinary (no file on disk)
+  function upload(buffer, { name }) {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        { folder, public_id: name },
+        (err, result) => (err ? reject(err) : resolve({ key: result.public_id, url: result.secure_url }))
+      );
+      uploadStream.end(buffer);
+    });
+  }
+
+  async function remove(key) {
+    await cloudinary.uploader.destroy(key, { invalidate: true });
+  }
+
+  function url(key) {
+    return cloudinary.url(key, { secure: true });
+  }
+
+  // Public ID of an upload URL, for items saved before keys were stored:
+  // .../image/upload/[transformations/]v123/<folder>/<name>.png -> <folder>/<name>
+  function keyFromUrl(imageUrl) {
+    let path;
+    try {
+      path = new URL(imageUrl).pathname;
+    } catch {
+      return null;
+    }
+    const match = path.match(/\/upload\/(?:.*?\/)?v\d+\/(.+)\.[a-z0-9]+$/i);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // Readable stream of a stored object
+  async function read(key) {
+    const response = await axios.get(url(key), { responseType: "stream", timeout: 30000 });
+    return response.data;
+  }
+
+  return {
+    name: "cloudinary",
+    configured: Boolean(cloudName && apiKey && apiSecret),
+    upload,
+    delete: remove,
+    url,
+    keyFromUrl,
+    read,
+  };
+}
+
+module.exports = { createCloudinaryStorage };
@@ -0,0 +1,26 @@
+const { config } = require("../config");
+const { createCloudinaryStorage } = require("./cloudinary");
+const { createLocalStorage } = require("./local");
+
+// Storage backends selectable through STORAGE_BACKEND. Each exposes:
+//   name, configured, upload(buffer, { name, extension }) -> { key, url }, delete(key), url(key),
+//   read(key) -> readable stream
+// Backends may also expose keyFromUrl(url) -> key | null for items stored before keys were recorded.
+// Settings come from config.storage.<backend>.
+const storageFactories = {
+  cloudinary: (settings) => createCloudinaryStorage(settings.cloudinary),
+  local: (settings) => createLocalStorage(settings.local),
+  // Loaded on demand so the AWS SDK is only pulled in when S3 is used
+  s3: (settings) => require("./s3").createS3Storage(settings.s3),
+};
+
+function createStorage(name, settings = config.storage) {
+  const factory = storageFactories[name];
+  if (!factory) {
+    const known = Object.keys(storageFactories).join(", ");
+    throw new Error(`Unknown storage backend "${name}". Expected one of: ${known}`);
+  }
+  return factory(settings);
+}
+
+module.exports = { createStorage, STORAGE_BACKENDS: Object.keys(storageFactories) };
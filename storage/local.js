@@ -0,0 +1,55 @@
+const fs = require("fs/promises");
+const { createReadStream } = require("fs");
+const path = require("path");
+
+// Local filesystem backend; files are served by express.static under `urlPath`
+function createLocalStorage({ directory, publicBaseUrl = "", urlPath = "/media" }) {
+  const root = path.resolve(directory);
+
+  // Keys are relative paths; refuse anything that would escape the storage root
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async function upload(buffer, { name, extension = ".png" }) {
+    const key = `${name}${extension}`;
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: url(key) };
+  }
+
+  async function remove(key) {
+    await fs.unlink(resolveKey(key)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+
+  // Readable stream of a stored object
+  async function read(key) {
+    const filePath = resolveKey(key);
+    await fs.access(filePath);
+    return createReadStream(filePath);
+  }
+
+  function url(key) {
+    return `${publicBaseUrl.replace(/\/$/, "")}${urlPath}/${key.split(path.sep).join("/")}`;
+  }
+
+  return {
+    name: "local",
+    configured: true,
+    directory: root,
+    urlPath,
+    upload,
+    delete: remove,
+    url,
+    read,
+  };
+}
+
+module.exports = { createLocalStorage };
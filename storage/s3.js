@@ -0,0 +1,61 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+
+const CONTENT_TYPES = { ".png": "image/png", ".webp": "image/webp", ".avif": "image/avif", ".jpg": "image/jpeg" };
+
+// S3-compatible backend (AWS S3, MinIO, R2, ...). Set `endpoint` for non-AWS services.
+function createS3Storage({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  prefix = "zule-pfps",
+}) {
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(endpoint), // MinIO and most self-hosted services need path-style URLs
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  async function upload(buffer, { name, extension = ".png" }) {
+    const key = `${prefix}/${name}${extension}`;
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: CONTENT_TYPES[extension] || "application/octet-stream",
+      })
+    );
+    return { key, url: url(key) };
+  }
+
+  async function remove(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  // Readable stream of a stored object
+  async function read(key) {
+    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return response.Body;
+  }
+
+  function url(key) {
+    if (publicUrl) return `${publicUrl.replace(/\/$/, "")}/${key}`;
+    if (endpoint) return `${endpoint.replace(/\/$/, "")}/${bucket}/${key}`;
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+  }
+
+  return {
+    name: "s3",
+    configured: Boolean(bucket),
+    upload,
+    delete: remove,
+    url,
+    read,
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,62 @@
+const { validateInput } = require("../validation");
+
+// Registry of avatar styles served by POST /api/styles/:style/generate
+const styles = new Map();
+
+// Each style module provides: name, label, description, inputSchema (see validation.js),
+// prompt { templateId, variables } naming its prompt template and the input fields it may use,
+// optional prepare(input) returning { value, errors } for checks and defaults the schema cannot
+// express, optional mergeInput(base, diff) for remixes, watermark settings and gallery behavior.
+function registerStyle(style) {
+  if (!style.name || !style.prompt?.templateId) {
+    throw new Error("A style needs a name and a prompt template.");
+  }
+  if (styles.has(style.name)) {
+    throw new Error(`Style "${style.name}" is already registered.`);
+  }
+  styles.set(style.name, style);
+  return style;
+}
+
+function getStyle(name) {
+  return styles.get(name) || null;
+}
+
+// Public description of every style (no prompt internals)
+function listStyles() {
+  return [...styles.values()].map((style) => ({
+    name: style.name,
+    label: style.label,
+    description: style.description,
+    inputSchema: style.inputSchema,
+  }));
+}
+
+// Validate a request body against the style's input schema and its own cross-field checks.
+// Only declared fields survive, so arbitrary body keys never reach the prompt or DB.
+function validateStyleInput(style, body) {
+  const result = validateInput(style.inputSchema, body);
+  if (result.errors.length > 0 || !style.prepare) return result;
+  return style.prepare(result.value);
+}
+
+// Apply a remix request body to the stored input of the item being remixed.
+// By default body fields replace stored ones and a null removes the field.
+function mergeInput(style, base, diff) {
+  if (style.mergeInput) return style.mergeInput(base, diff || {});
+  const merged = { ...base, ...diff };
+  for (const [name, value] of Object.entries(merged)) {
+    if (value === null) delete merged[name];
+  }
+  return merged;
+}
+
+// Values a style's prompt template may reference
+function promptVariables(style, input) {
+  return Object.fromEntries(style.prompt.variables.map((name) => [name, input[name]]));
+}
+
+registerStyle(require("./zule"));
+registerStyle(require("./milady"));
+
+module.exports = { registerStyle, getStyle, listStyles, validateStyleInput, mergeInput, promptVariables };
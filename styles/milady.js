@@ -0,0 +1,64 @@
+const { TRAIT_TYPES, findCategory, normalizeTraits, rollTraits } = require("./miladyTraits");
+
+// Milady/Remilio trait-based avatar
+module.exports = {
+  name: "milady",
+  label: "Milady / Remilio",
+  description: "Chibi sketch-style character built from Milady/Remilio JSON traits.",
+  inputSchema: {
+    username: { type: "string", maxLength: 40, sanitize: true, description: "Gallery display name." },
+    traits: {
+      type: "array",
+      maxItems: TRAIT_TYPES.length,
+      items: {
+        type: "object",
+        properties: {
+          trait_type: { type: "string", required: true, enum: TRAIT_TYPES },
+          value: { type: ["string", "number"], required: true, maxLength: 60, sanitize: true },
+        },
+      },
+      description: "List of { trait_type, value } pairs from GET /api/traits describing the character.",
+    },
+    randomizeMissing: {
+      type: "boolean",
+      description: "Fill categories missing from traits with weighted-random catalog values.",
+    },
+  },
+  // Check traits against the catalog and optionally roll the categories the user left blank
+  prepare(input) {
+    const { randomizeMissing, ...rest } = input;
+    if (!rest.traits?.length && !randomizeMissing) {
+      const message = "traits is required unless randomizeMissing is set.";
+      return { value: rest, errors: [{ field: "traits", message }] };
+    }
+
+    const { traits, errors } = normalizeTraits(rest.traits || []);
+    return { value: { ...rest, traits: randomizeMissing ? rollTraits(traits) : traits }, errors };
+  },
+  // Remix: body traits replace stored traits of the same category, a null value drops the category
+  mergeInput(base, diff) {
+    const { traits: changes, ...rest } = diff;
+    const merged = { ...base, ...rest };
+    if (!Array.isArray(changes)) return merged;
+
+    const categoryOf = (trait) => findCategory(trait?.trait_type)?.trait_type || trait?.trait_type;
+    const changed = new Set(changes.map(categoryOf));
+    merged.traits = [
+      ...(base.traits || []).filter((trait) => !changed.has(categoryOf(trait))),
+      ...changes.filter((trait) => trait?.value !== null),
+    ];
+    return merged;
+  },
+  // Versioned template in promptTemplates.js (seeded from prompts/milady.txt)
+  prompt: {
+    templateId: "milady",
+    variables: ["traits"],
+  },
+  // Watermark profile from watermark.js
+  watermark: { profile: "milady" },
+  gallery: {
+    enabled: true,
+    inscription: (input) =>
+      input.traits.find((t) => t.trait_type === "Hat")?.value || "Custom",
+  },
+};
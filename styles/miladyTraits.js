@@ -0,0 +1,126 @@
+const catalog = require("../data/milady-traits.json");
+
+// Canonical category lookup, keyed by lowercased trait_type and alias
+const categoriesByName = new Map();
+for (const category of catalog.categories) {
+  for (const name of [category.trait_type, ...(category.aliases || [])]) {
+    categoriesByName.set(name.toLowerCase(), category);
+  }
+}
+
+// Every accepted trait_type spelling (canonical names first, then aliases)
+const TRAIT_TYPES = [
+  ...catalog.categories.map((category) => category.trait_type),
+  ...catalog.categories.flatMap((category) => category.aliases || []),
+];
+
+function findCategory(traitType) {
+  return categoriesByName.get(String(traitType).toLowerCase()) || null;
+}
+
+// Public catalog for GET /api/traits, with each value's share of its category as `rarity`
+function getCatalog() {
+  return {
+    version: catalog.version,
+    categories: catalog.categories.map((category) => {
+      if (category.range) {
+        return { trait_type: category.trait_type, aliases: category.aliases || [], range: category.range };
+      }
+      const total =
+        category.values.reduce((sum, option) => sum + option.weight, 0) + (category.noneWeight || 0);
+      return {
+        trait_type: category.trait_type,
+        aliases: category.aliases || [],
+        optional: Boolean(category.optional),
+        values: category.values.map((option) => ({
+          value: option.value,
+          weight: option.weight,
+          rarity: Number((option.weight / total).toFixed(4)),
+        })),
+      };
+    }),
+  };
+}
+
+// Check traits against the catalog and normalize names and values to their canonical spelling.
+// Returns { traits, errors }.
+function normalizeTraits(traits) {
+  const errors = [];
+  const seen = new Set();
+
+  const normalized = traits.map((trait, index) => {
+    const category = findCategory(trait.trait_type);
+    if (!category) {
+      errors.push({ field: `traits[${index}].trait_type`, message: `Unknown trait_type "${trait.trait_type}".` });
+      return trait;
+    }
+
+    if (seen.has(category.trait_type)) {
+      errors.push({
+        field: `traits[${index}].trait_type`,
+        message: `Duplicate trait_type "${category.trait_type}".`,
+      });
+    }
+    seen.add(category.trait_type);
+
+    if (category.range) {
+      const number = Number(trait.value);
+      if (!Number.isFinite(number) || number < category.range.min || number > category.range.max) {
+        errors.push({
+          field: `traits[${index}].value`,
+          message: `${category.trait_type} must be a number between ${category.range.min} and ${category.range.max}.`,
+        });
+      }
+      return { trait_type: category.trait_type, value: number };
+    }
+
+    const option = category.values.find(
+      (candidate) => candidate.value.toLowerCase() === String(trait.value).toLowerCase()
+    );
+    if (!option) {
+      errors.push({
+        field: `traits[${index}].value`,
+        message: `Unknown ${category.trait_type} value "${trait.value}".`,
+      });
+      return { trait_type: category.trait_type, value: trait.value };
+    }
+    return { trait_type: category.trait_type, value: option.value };
+  });
+
+  return { traits: normalized, errors };
+}
+
+// Weighted pick from a category; returns null when an optional category rolls "none"
+function rollCategory(category, random) {
+  if (category.range) {
+    const { min, max } = category.range;
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  const total = category.values.reduce((sum, option) => sum + option.weight, 0) + (category.noneWeight || 0);
+  let roll = random() * total;
+  for (const option of category.values) {
+    roll -= option.weight;
+    if (roll < 0) return option.value;
+  }
+  return null;
+}
+
+// Roll a weighted-random trait set. Traits in `keep` (already normalized) are left untouched
+// and only the remaining categories are rolled.
+function rollTraits(keep = [], random = Math.random) {
+  const kept = new Map(keep.map((trait) => [trait.trait_type, trait]));
+  const traits = [];
+
+  for (const category of catalog.categories) {
+    if (kept.has(category.trait_type)) {
+      traits.push(kept.get(category.trait_type));
+      continue;
+    }
+    const value = rollCategory(category, random);
+    if (value !== null) traits.push({ trait_type: category.trait_type, value });
+  }
+  return traits;
+}
+
+module.exports = { TRAIT_TYPES, getCatalog, findCategory, normalizeTraits, rollTraits };
@@ -0,0 +1,50 @@
+// ZULE trucker-hat avatar with a custom hat inscription
+module.exports = {
+  name: "zule",
+  label: "ZULE Trucker Hat",
+  description: "Stylized cartoon avatar wearing a trucker hat with a custom inscription.",
+  inputSchema: {
+    username: { type: "string", maxLength: 40, sanitize: true, description: "Gallery display name." },
+    inscription: {
+      type: "string",
+      required: true,
+      maxLength: 30,
+      sanitize: true,
+      description: "Text printed on the hat's front panel.",
+    },
+    hatColor: {
+      type: "string",
+      required: true,
+      format: "color",
+      description: "Color of the trucker hat (hex or CSS color name).",
+    },
+    gender: {
+      type: "string",
+      required: true,
+      enum: ["female", "male", "neutral"],
+      description: "Gender the avatar should reflect.",
+    },
+    description: {
+      type: "string",
+      maxLength: 300,
+      sanitize: true,
+      description: "Free-form description of the avatar.",
+    },
+    customColor: {
+      type: "string",
+      format: "color",
+      description: "Optional accent color for the outfit and accessories (hex or CSS color name).",
+    },
+  },
+  // Versioned template in promptTemplates.js (seeded from prompts/zule.txt)
+  prompt: {
+    templateId: "zule",
+    variables: ["inscription", "hatColor", "gender", "description", "customColor"],
+  },
+  // Watermark profile from watermark.js
+  watermark: { profile: "zule" },
+  gallery: {
+    enabled: true,
+    inscription: (input) => input.inscription,
+  },
+};
@@ -0,0 +1,54 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { logger } = require("./logger");
+
+// Scratch space for the rare cases where an image must touch disk; never the app folder
+const TEMP_DIR = path.join(os.tmpdir(), "pfp-backend");
+
+// Files the old disk-based pipeline left in the project directory when it crashed
+const LEGACY_PATTERN = /^(watermarked_)?generated_image_.+\.png$/;
+
+async function removeMatching(dir, shouldRemove) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+
+  let removed = 0;
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    try {
+      if (await shouldRemove(name, filePath)) {
+        await fs.unlink(filePath);
+        removed++;
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") logger.error("Orphan file removal failed", { file: filePath, err });
+    }
+  }
+  return removed;
+}
+
+// Startup sweep: delete temp files older than `maxAgeMs` (they belong to dead processes)
+// and any PNGs the old pipeline left in `projectDir`.
+async function sweepOrphans({ projectDir, maxAgeMs = 60 * 60 * 1000 } = {}) {
+  const cutoff = Date.now() - maxAgeMs;
+  let removed = await removeMatching(TEMP_DIR, async (name, filePath) => {
+    const { mtimeMs } = await fs.stat(filePath);
+    return mtimeMs < cutoff;
+  });
+  if (projectDir) {
+    removed += await removeMatching(projectDir, async (name) => LEGACY_PATTERN.test(name));
+  }
+
+  if (removed > 0) {
+    logger.info("Removed orphaned image files", { removed });
+  }
+  return removed;
+}
+
+module.exports = { TEMP_DIR, sweepOrphans };
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadConfig } = require("../config");
+
+// Smallest environment that loads without problems
+const BASE_ENV = { MONGO_URI: "mongodb://localhost/test", STORAGE_BACKEND: "s3", S3_BUCKET: "b", IMAGE_PROVIDER: "mock" };
+
+function load(env) {
+  return loadConfig({ ...BASE_ENV, ...env });
+}
+
+test("the base environment is valid", () => {
+  assert.deepEqual(load({}).problems, []);
+});
+
+test("TRUST_PROXY becomes a hop count, a boolean or an address list", () => {
+  assert.equal(load({}).config.trustProxy, false);
+  assert.equal(load({ TRUST_PROXY: "true" }).config.trustProxy, true);
+  assert.equal(load({ TRUST_PROXY: "2" }).config.trustProxy, 2);
+  assert.deepEqual(load({ TRUST_PROXY: "loopback, 10.0.0.0/8,::1" }).config.trustProxy, ["loopback", "10.0.0.0/8", "::1"]);
+});
+
+test("an invalid TRUST_PROXY is reported", () => {
+  for (const value of ["yes please", "10.0.0.1/33", "1.2.3"]) {
+    const { problems } = load({ TRUST_PROXY: value });
+    assert.equal(problems.length, 1, value);
+    assert.match(problems[0], /^TRUST_PROXY must be a hop count/);
+  }
+});
+
+test("PUBLIC_BASE_URL is required for SMTP mail", () => {
+  const smtp = { MAILER: "smtp", SMTP_HOST: "smtp.example.com" };
+  assert.deepEqual(load(smtp).problems, ["PUBLIC_BASE_URL is required."]);
+  assert.deepEqual(load({ ...smtp, PUBLIC_BASE_URL: "https://api.example.com" }).problems, []);
+  assert.deepEqual(load({ MAILER: "console" }).problems, []);
+});
+
+test("PUBLIC_BASE_URL is required for local storage and used for its URLs", () => {
+  const local = { STORAGE_BACKEND: "local" };
+  assert.deepEqual(load(local).problems, ["PUBLIC_BASE_URL is required."]);
+  const { config, problems } = load({ ...local, PUBLIC_BASE_URL: "https://api.example.com" });
+  assert.deepEqual(problems, []);
+  assert.equal(config.storage.local.publicBaseUrl, "https://api.example.com");
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SORTS, GalleryQueryError, encodeCursor, decodeCursor, parseListOptions } = require("../gallery");
+
+test("cursors round-trip dates and IDs", () => {
+  const createdAt = new Date("2026-03-04T05:06:07.000Z");
+  const cursor = encodeCursor({ id: 42, createdAt }, SORTS.newest);
+  assert.deepEqual(decodeCursor(cursor, SORTS.newest), { value: createdAt, id: 42 });
+});
+
+test("cursors for ID sorts keep the plain value", () => {
+  const cursor = encodeCursor({ id: 7, createdAt: new Date() }, SORTS.id_asc);
+  assert.deepEqual(decodeCursor(cursor, SORTS.id_asc), { value: 7, id: 7 });
+});
+
+test("malformed cursors are rejected as query errors", () => {
+  const withoutId = Buffer.from(JSON.stringify({ v: 1 })).toString("base64url");
+  for (const cursor of ["not-a-cursor", withoutId, ""]) {
+    assert.throws(() => decodeCursor(cursor, SORTS.newest), GalleryQueryError);
+  }
+});
+
+test("parseListOptions decodes the cursor and ignores ?page= alongside it", () => {
+  const cursor = encodeCursor({ id: 3, createdAt: new Date("2026-01-01T00:00:00Z") }, SORTS.oldest);
+  const options = parseListOptions({ sort: "oldest", cursor, page: "2", limit: "5", latest: "1" });
+  assert.equal(options.sortName, "oldest");
+  assert.equal(options.limit, 5);
+  assert.equal(options.page, null);
+  assert.equal(options.latest, true);
+  assert.equal(options.cursor.id, 3);
+});
+
+test("parseListOptions rejects unknown sorts", () => {
+  assert.throws(() => parseListOptions({ sort: "random" }), GalleryQueryError);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createKeyPool, loadKeysFromEnv, parseRetryAfter } = require("../keyPool");
+
+const KEYS = [
+  { name: "GEMINI_API_KEY_1", secret: "secret-1" },
+  { name: "GEMINI_API_KEY_2", secret: "secret-2" },
+];
+
+test("loadKeysFromEnv reads numbered keys until the first gap", () => {
+  const keys = loadKeysFromEnv({ GEMINI_API_KEY_1: "a", GEMINI_API_KEY_2: "b", GEMINI_API_KEY_4: "d" });
+  assert.deepEqual(keys, [
+    { name: "GEMINI_API_KEY_1", secret: "a" },
+    { name: "GEMINI_API_KEY_2", secret: "b" },
+  ]);
+});
+
+test("parseRetryAfter handles seconds, HTTP dates and junk", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter("soon"), null);
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const ms = parseRetryAfter(inTenSeconds);
+  assert.ok(ms > 8000 && ms <= 10000);
+});
+
+test("acquire prefers keys this request has not tried yet", () => {
+  const pool = createKeyPool(KEYS);
+  const first = pool.acquire();
+  pool.release(first.name, "failure");
+  const second = pool.acquire([first.name]);
+  assert.notEqual(second.name, first.name);
+});
+
+test("acquire prefers the healthier key", () => {
+  const pool = createKeyPool(KEYS);
+  pool.release(pool.acquire(["GEMINI_API_KEY_2"]).name, "failure");
+  pool.release(pool.acquire(["GEMINI_API_KEY_1"]).name, "success");
+  assert.equal(pool.acquire().name, "GEMINI_API_KEY_2");
+});
+
+test("a rate-limited key cools down for Retry-After or the default", () => {
+  const pool = createKeyPool(KEYS, { defaultCooldownMs: 60000 });
+  pool.release(pool.acquire(["GEMINI_API_KEY_2"]).name, "rate_limited", { retryAfterMs: 5000 });
+  assert.equal(pool.availableCount(), 1);
+  assert.equal(pool.acquire().name, "GEMINI_API_KEY_2");
+
+  pool.release("GEMINI_API_KEY_2", "rate_limited");
+  assert.equal(pool.availableCount(), 0);
+  assert.equal(pool.acquire(), null);
+  const wait = pool.msUntilAvailable();
+  assert.ok(wait > 0 && wait <= 5000);
+});
+
+test("snapshot reports counters without secrets", () => {
+  const pool = createKeyPool(KEYS);
+  const lease = pool.acquire();
+  const busy = pool.snapshot().find((entry) => entry.name === lease.name);
+  assert.equal(busy.inFlight, 1);
+
+  pool.release(lease.name, "unavailable");
+  const [entry] = pool.snapshot().filter((e) => e.name === lease.name);
+  assert.equal(entry.unavailable, 1);
+  assert.equal(entry.inFlight, 0);
+  assert.equal(entry.health, 0);
+  assert.ok(!JSON.stringify(pool.snapshot()).includes("secret-"));
+});
@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { csvRow } = require("../newsletter");
+
+test("csvRow joins plain values with CRLF line endings", () => {
+  assert.equal(csvRow(["a@example.com", "confirmed"]), "a@example.com,confirmed\r\n");
+});
+
+test("csvRow formats dates and blanks", () => {
+  assert.equal(csvRow([new Date("2026-01-02T03:04:05.000Z"), null, undefined]), "2026-01-02T03:04:05.000Z,,\r\n");
+});
+
+test("csvRow quotes commas, quotes and newlines", () => {
+  assert.equal(csvRow(['say "hi"', "a,b", "two\nlines"]), '"say ""hi""","a,b","two\nlines"\r\n');
+});
+
+test("csvRow defuses spreadsheet formulas", () => {
+  assert.equal(csvRow(["=HYPERLINK(1)", "+1", "-1", "@SUM(A1)"]), "'=HYPERLINK(1),'+1,'-1,'@SUM(A1)\r\n");
+});
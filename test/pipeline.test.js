@@ -0,0 +1,245 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const sharp = require("sharp");
+const { createProvider } = require("../providers");
+const { createKeyPool } = require("../keyPool");
+const { createLocalStorage } = require("../storage/local");
+const { createGenerationPipeline } = require("../pipeline");
+const { render } = require("../promptTemplates");
+const { getStyle } = require("../styles");
+const { DEFAULT_RETRY_POLICY } = require("../retry");
+const { getProfile, renderWatermark } = require("../watermark");
+const { VARIANTS, renderVariants, findVariant } = require("../variants");
+
+test("the mock provider renders PNGs of the requested size", async () => {
+  const provider = createProvider("mock", { size: 64 });
+  const images = await provider.generate("A ZULE avatar wearing a red hat", { sampleCount: 2 });
+  assert.equal(images.length, 2);
+  for (const image of images) {
+    const metadata = await sharp(image).metadata();
+    assert.equal(metadata.format, "png");
+    assert.equal(metadata.width, 64);
+  }
+});
+
+test("the mock provider is deterministic per prompt, sample and reference image", async () => {
+  const provider = createProvider("mock", { size: 64 });
+  const [a1, a2] = await provider.generate("prompt a", { sampleCount: 2 });
+  const [again] = await provider.generate("prompt a");
+  const [other] = await provider.generate("prompt b");
+  const [remix] = await provider.generate("prompt a", { referenceImage: "base64data" });
+
+  assert.ok(a1.equals(again));
+  assert.ok(!a1.equals(a2));
+  assert.ok(!a1.equals(other));
+  assert.ok(!a1.equals(remix));
+});
+
+// Offline run of the image pipeline: mock provider -> watermark -> variants
+test("mock generation is watermarked and rendered to every variant", async () => {
+  const provider = createProvider("mock", { size: 256 });
+  const [image] = await provider.generate("A ZULE avatar wearing a red hat");
+
+  const watermarked = await renderWatermark(image, getProfile("milady"));
+  const metadata = await sharp(watermarked).metadata();
+  assert.equal(metadata.format, "png");
+  assert.equal(metadata.width, 256);
+  assert.ok(!watermarked.equals(image), "the watermark changes the image");
+
+  const variants = await renderVariants(watermarked);
+  assert.deepEqual(
+    variants.map((variant) => variant.name),
+    VARIANTS.map((variant) => variant.name)
+  );
+  for (const variant of variants) {
+    const info = await sharp(variant.buffer).metadata();
+    assert.equal(info.format, variant.format === "avif" ? "heif" : variant.format, variant.name);
+    assert.equal(info.width, variant.size || 256, variant.name);
+    assert.equal(variant.width, info.width);
+  }
+
+  const circle = variants.find((variant) => variant.circle);
+  const { data, info } = await sharp(circle.buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  assert.equal(data[info.channels - 1], 0, "circle corners are transparent");
+});
+
+test("findVariant matches stored variants by size and format", () => {
+  const stored = {
+    original: { size: null, format: "png", key: "a" },
+    400: { size: 400, format: "png", key: "b" },
+    circle: { size: 400, format: "png", circle: true, key: "c" },
+    webp: { size: null, format: "webp", key: "d" },
+  };
+  assert.equal(findVariant(stored, {}).key, "a");
+  assert.equal(findVariant(stored, { size: "400" }).key, "b");
+  assert.equal(findVariant(stored, { size: "circle" }).key, "c");
+  assert.equal(findVariant(stored, { format: "webp" }).name, "webp");
+  assert.equal(findVariant(stored, { size: "48" }), null);
+  assert.equal(findVariant(undefined, {}), null);
+});
+
+// In-memory stand-in for the GalleryItem model
+function fakeGalleryItems() {
+  const items = [];
+  return {
+    items,
+    async nextId() {
+      return items.length + 1;
+    },
+    async create(doc) {
+      items.push(doc);
+      return doc;
+    },
+    async findOne({ id }) {
+      return items.find((item) => item.id === id) || null;
+    },
+  };
+}
+
+// Renders version 1 of a template straight from prompts/, without MongoDB
+async function renderSeedPrompt(templateId, variables) {
+  const body = await fs.readFile(path.join(__dirname, "..", "prompts", `${templateId}.txt`), "utf8");
+  return { prompt: render(body, variables), templateId, version: 1 };
+}
+
+// In-memory stand-in for the Job model, enough for draft expiry
+function fakeJobs(jobs) {
+  const matches = (job, filter) =>
+    (filter._id === undefined || job._id === filter._id) &&
+    job.draftsDeleted === filter.draftsDeleted &&
+    job.draftsExpireAt <= filter.draftsExpireAt.$lte;
+  return {
+    find: (filter) => ({ limit: async () => jobs.filter((job) => matches(job, filter)) }),
+    async findOneAndUpdate(filter, update) {
+      const job = jobs.find((candidate) => matches(candidate, filter));
+      if (!job) return null;
+      Object.assign(job, update.$set);
+      return job;
+    },
+    async updateOne({ _id }, update) {
+      Object.assign(jobs.find((job) => job._id === _id), update.$set);
+    },
+  };
+}
+
+async function createTestPipeline(
+  t,
+  { Job, imageProvider = createProvider("mock", { size: 128 }), retryPolicy = DEFAULT_RETRY_POLICY } = {}
+) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "pfp-pipeline-test-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const storage = createLocalStorage({ directory, publicBaseUrl: "https://api.example.com" });
+  const GalleryItem = fakeGalleryItems();
+  const pipeline = createGenerationPipeline({
+    storage,
+    imageProvider,
+    keyPool: createKeyPool([]),
+    retryPolicy,
+    draftTtlMs: 60 * 1000,
+    GalleryItem,
+    Job,
+    renderPrompt: renderSeedPrompt,
+  });
+  return { directory, storage, GalleryItem, pipeline };
+}
+
+const ZULE_INPUT = { username: "tester", inscription: "GM", hatColor: "red", gender: "neutral" };
+
+// Offline end-to-end run: mock provider -> watermark -> variants -> local storage -> gallery save
+test("a generation job is stored on disk and published to the gallery", async (t) => {
+  const { directory, GalleryItem, pipeline } = await createTestPipeline(t);
+  const statuses = [];
+
+  const job = { style: "zule", input: ZULE_INPUT, count: 1 };
+  const result = await pipeline.processGenerationJob(job, async (status) => {
+    statuses.push(status);
+  });
+
+  assert.deepEqual(statuses, ["watermarking", "uploading"]);
+  assert.equal(result.galleryItemId, 1);
+  assert.equal(result.provider, "mock");
+  assert.equal(result.promptTemplateId, "zule");
+  assert.match(result.imageUrl, /^https:\/\/api\.example\.com\/media\/watermarked_generated_image_.+\.png$/);
+
+  const [item] = GalleryItem.items;
+  assert.equal(item.username, "tester");
+  assert.equal(item.inscription, "GM");
+  assert.equal(item.style, "zule");
+  assert.equal(item.storageBackend, "local");
+  assert.deepEqual(item.input, ZULE_INPUT);
+  assert.match(item.promptHash, /^[0-9a-f]{64}$/);
+
+  const files = await fs.readdir(directory);
+  assert.deepEqual(files.sort(), Object.values(item.variants).map((variant) => variant.key).sort());
+  const original = await sharp(path.join(directory, item.storageKey)).metadata();
+  assert.equal(original.width, 128);
+  assert.equal(original.format, "png");
+});
+
+test("a batch job keeps its candidates as drafts until one is selected", async (t) => {
+  const { directory, GalleryItem, pipeline } = await createTestPipeline(t);
+
+  const job = { style: "zule", input: ZULE_INPUT, count: 2 };
+  const result = await pipeline.processGenerationJob(job, async () => {});
+
+  assert.equal(GalleryItem.items.length, 0);
+  assert.equal(result.candidates.length, 2);
+  assert.ok(result.draftsExpireAt > new Date());
+
+  const [first, second] = result.candidates;
+  await pipeline.deleteCandidateAssets(first);
+  const remaining = await fs.readdir(directory);
+  assert.deepEqual(remaining.sort(), Object.values(second.variants).map((variant) => variant.key).sort());
+
+  const item = await pipeline.publishToGallery(getStyle("zule"), ZULE_INPUT, second, {});
+  assert.equal(item.id, 1);
+  assert.equal(item.imageUrl, second.imageUrl);
+});
+
+test("deleting an item whose stored file cannot be located skips the files", async (t) => {
+  const { pipeline } = await createTestPipeline(t);
+  const warnings = [];
+  const log = { warn: (msg) => warnings.push(msg) };
+
+  await pipeline.deleteCandidateAssets({ storageBackend: "local" }, log);
+  assert.deepEqual(warnings, ["Stored image could not be located, skipping file deletion"]);
+});
+
+test("expired drafts are deleted except the selected candidate", async (t) => {
+  const jobs = [];
+  const { directory, pipeline } = await createTestPipeline(t, { Job: fakeJobs(jobs) });
+  const job = { style: "zule", input: ZULE_INPUT, count: 2 };
+  const { candidates } = await pipeline.processGenerationJob(job, async () => {});
+  jobs.push({ _id: "job-1", jobId: "job-1", candidates, selectedIndex: 1, draftsDeleted: false, draftsExpireAt: new Date(0) });
+
+  await pipeline.expireDrafts();
+
+  assert.equal(jobs[0].draftsDeleted, true);
+  const remaining = await fs.readdir(directory);
+  assert.deepEqual(remaining.sort(), Object.values(candidates[1].variants).map((variant) => variant.key).sort());
+});
+
+test("upstream attempts are cut short by the generation deadline", async (t) => {
+  const timeouts = [];
+  const imageProvider = {
+    ...createProvider("mock"),
+    async generate(prompt, { timeoutMs }) {
+      timeouts.push(timeoutMs);
+      await new Promise((resolve) => setTimeout(resolve, timeoutMs));
+      throw Object.assign(new Error("timeout exceeded"), { reason: "TIMEOUT" });
+    },
+    classifyError: (error) => ({ reason: error.reason, retryable: true, status: null, retryAfterMs: null }),
+  };
+  const retryPolicy = { maxAttempts: 6, baseDelayMs: 0, maxDelayMs: 0, deadlineMs: 50 };
+  const { pipeline } = await createTestPipeline(t, { imageProvider, retryPolicy });
+
+  await assert.rejects(pipeline.generateImages("prompt", 1, { log: { info() {}, warn() {}, error() {} } }), {
+    code: "UPSTREAM_TIMEOUT",
+  });
+  assert.ok(timeouts.length >= 1 && timeouts.length < 6, `${timeouts.length} attempts`);
+  assert.ok(timeouts.every((timeoutMs) => timeoutMs > 0 && timeoutMs <= 50));
+});
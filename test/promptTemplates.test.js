@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { TemplateError, render, placeholders, checkTemplate } = require("../promptTemplates");
+
+test("render interpolates and escapes values", () => {
+  const body = 'A hat saying "{{inscription}}" in {{ hatColor }}.';
+  assert.equal(render(body, { inscription: 'say "hi" {{x}}', hatColor: "red" }), "A hat saying \"say 'hi' x\" in red.");
+});
+
+test("render keeps sections only for truthy variables", () => {
+  const body = "Avatar.{{#description}} Details: {{description}}.{{/description}}";
+  assert.equal(render(body, { description: "tall" }), "Avatar. Details: tall.");
+  assert.equal(render(body, { description: "" }), "Avatar.");
+});
+
+test("render prints arrays and objects as JSON and missing values as nothing", () => {
+  const traits = [{ trait_type: "Hat", value: "Alien Hat" }];
+  assert.equal(render("Traits: {{traits}}", { traits }), `Traits: ${JSON.stringify(traits, null, 2)}`);
+  assert.equal(render("Name: {{name}}", {}), "Name:");
+});
+
+test("placeholders lists each variable once", () => {
+  assert.deepEqual(placeholders("{{a}} {{#b}}{{a}}{{/b}}"), ["a", "b"]);
+});
+
+test("checkTemplate accepts known variables and closed sections", () => {
+  assert.doesNotThrow(() => checkTemplate("{{a}}{{#b}}x{{/b}}", ["a", "b"]));
+});
+
+test("checkTemplate rejects unknown placeholders", () => {
+  assert.throws(() => checkTemplate("{{a}} {{secret}}", ["a"]), {
+    name: "Error",
+    message: /Unknown placeholder\(s\): secret/,
+  });
+  assert.throws(() => checkTemplate("{{secret}}", ["a"]), TemplateError);
+});
+
+test("checkTemplate rejects unclosed sections", () => {
+  assert.throws(() => checkTemplate("{{#a}} open", ["a"]), /Section \{\{#a\}\} is never closed/);
+});
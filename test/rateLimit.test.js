@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const { createRateLimiter, requestIdentities, requestedImages } = require("../rateLimit");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 30);
+
+const RULES = [
+  { name: "ip-rate", identity: "ip", limit: 2, windowMs: MINUTE_MS },
+  { name: "user-daily", identity: "username", limit: 5, windowMs: DAY_MS, quota: true },
+];
+
+// In-memory stand-in for the RateLimit model
+function fakeStore() {
+  const counts = new Map();
+  return {
+    counts,
+    async hit(key, amount) {
+      counts.set(key, (counts.get(key) || 0) + amount);
+      return counts.get(key);
+    },
+    async peek(key) {
+      return counts.get(key) || 0;
+    },
+  };
+}
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    res.emit("finish");
+    return res;
+  };
+  return res;
+}
+
+// Run the middleware once and resolve with the response and whether next() was called
+async function runMiddleware(limiter, req) {
+  const res = fakeResponse();
+  let passed = false;
+  await limiter.middleware()(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test("requestIdentities prefers the account name and normalizes usernames", () => {
+  assert.deepEqual(requestIdentities({ ip: "1.2.3.4", body: { username: "  Zule " } }), {
+    ip: "1.2.3.4",
+    username: "zule",
+  });
+  const req = { ip: "1.2.3.4", auth: { user: { username: "Owner" } }, body: { username: "other" } };
+  assert.equal(requestIdentities(req).username, "owner");
+  assert.equal(requestIdentities({ ip: "1.2.3.4", body: {} }).username, null);
+});
+
+test("requestedImages counts a batch as its size", () => {
+  assert.equal(requestedImages({ body: { count: 4 } }), 4);
+  assert.equal(requestedImages({ body: { count: "4" } }), 1);
+  assert.equal(requestedImages({}), 1);
+});
+
+test("consume counts requests per window and flags exceeded rules", async () => {
+  const store = fakeStore();
+  const limiter = createRateLimiter({ rules: RULES, store, now: () => NOW });
+  const identities = { ip: "1.2.3.4", username: "zule" };
+
+  await limiter.consume(identities, 2);
+  await limiter.consume(identities, 2);
+  const third = await limiter.consume(identities, 2);
+
+  assert.deepEqual(
+    third.exceeded.map((hit) => hit.name),
+    ["ip-rate", "user-daily"]
+  );
+  const daily = third.hits.find((hit) => hit.name === "user-daily");
+  assert.equal(daily.used, 6); // The quota counts images, not requests
+  assert.equal(daily.resetAt.toISOString(), "2026-01-02T00:00:00.000Z");
+});
+
+test("rules without their identity are skipped", async () => {
+  const limiter = createRateLimiter({ rules: RULES, store: fakeStore(), now: () => NOW });
+  const { hits } = await limiter.consume({ ip: "1.2.3.4", username: null });
+  assert.deepEqual(
+    hits.map((hit) => hit.name),
+    ["ip-rate"]
+  );
+});
+
+test("refund and usage", async () => {
+  const limiter = createRateLimiter({ rules: RULES, store: fakeStore(), now: () => NOW });
+  const identities = { ip: "1.2.3.4", username: "zule" };
+  const { hits } = await limiter.consume(identities, 3);
+  await limiter.refund(hits);
+
+  const usage = await limiter.usage(identities);
+  assert.deepEqual(
+    usage.map((rule) => [rule.name, rule.used, rule.remaining]),
+    [
+      ["ip-rate", 0, 2],
+      ["user-daily", 0, 5],
+    ]
+  );
+});
+
+test("a new window starts from zero", async () => {
+  let time = NOW;
+  const limiter = createRateLimiter({ rules: RULES.slice(0, 1), store: fakeStore(), now: () => time });
+  await limiter.consume({ ip: "1.2.3.4" });
+  await limiter.consume({ ip: "1.2.3.4" });
+  time += MINUTE_MS;
+  const { hits, exceeded } = await limiter.consume({ ip: "1.2.3.4" });
+  assert.equal(hits[0].used, 1);
+  assert.equal(exceeded.length, 0);
+});
+
+test("middleware answers 429 with Retry-After and refunds the rejected request", async () => {
+  const store = fakeStore();
+  const limiter = createRateLimiter({ rules: RULES.slice(0, 1), store, now: () => NOW });
+  const req = { ip: "1.2.3.4", body: {} };
+
+  assert.equal((await runMiddleware(limiter, req)).passed, true);
+  assert.equal((await runMiddleware(limiter, req)).passed, true);
+  const { res, passed } = await runMiddleware(limiter, req);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, "RATE_LIMITED");
+  assert.equal(res.headers["Retry-After"], "30");
+  assert.equal(res.headers["X-RateLimit-Remaining"], "0");
+  assert.deepEqual([...store.counts.values()], [2]);
+});
+
+test("middleware refunds requests that end in an error response", async () => {
+  const store = fakeStore();
+  const limiter = createRateLimiter({ rules: RULES.slice(0, 1), store, now: () => NOW });
+  const { res, passed } = await runMiddleware(limiter, { ip: "1.2.3.4", body: {} });
+  assert.equal(passed, true);
+
+  res.status(400).json({ error: "Invalid request body." });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual([...store.counts.values()], [0]);
+});
+
+test("middleware lets requests through when the store fails", async () => {
+  const store = {
+    hit: async () => {
+      throw new Error("store down");
+    },
+  };
+  const limiter = createRateLimiter({ rules: RULES, store, now: () => NOW });
+  const req = { ip: "1.2.3.4", body: {}, log: { error() {} } };
+  assert.equal((await runMiddleware(limiter, req)).passed, true);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { backoffDelay } = require("../retry");
+const { GenerationError, errorForReason } = require("../errors");
+const { createImagenProvider } = require("../providers/imagen");
+
+const POLICY = { baseDelayMs: 500, maxDelayMs: 8000 };
+
+test("backoffDelay grows exponentially up to the cap", (t) => {
+  t.mock.method(Math, "random", () => 1);
+  assert.deepEqual(
+    [0, 1, 2, 3, 4, 5].map((attempt) => backoffDelay(attempt, POLICY)),
+    [500, 1000, 2000, 4000, 8000, 8000]
+  );
+});
+
+test("backoffDelay uses full jitter", (t) => {
+  t.mock.method(Math, "random", () => 0);
+  assert.equal(backoffDelay(3, POLICY), 0);
+  t.mock.method(Math, "random", () => 0.5);
+  assert.equal(backoffDelay(3, POLICY), 2000);
+});
+
+test("imagen classifyError maps upstream failures to reasons", () => {
+  const { classifyError } = createImagenProvider();
+  const upstream = (status, { message = "", retryAfter } = {}) => ({
+    response: { status, headers: retryAfter ? { "retry-after": retryAfter } : {}, data: { error: { message } } },
+  });
+
+  assert.deepEqual(classifyError(upstream(429, { retryAfter: "2" })), {
+    reason: "RATE_LIMITED",
+    retryable: true,
+    status: 429,
+    retryAfterMs: 2000,
+  });
+  const cases = [
+    [upstream(503), "UNAVAILABLE", true],
+    [upstream(403), "AUTH", true],
+    [upstream(400, { message: "Blocked by safety filter" }), "CONTENT_BLOCKED", false],
+    [upstream(400, { message: "Invalid field" }), "BAD_REQUEST", false],
+    [upstream(404), "UNKNOWN", false],
+    [{ code: "ETIMEDOUT" }, "TIMEOUT", true],
+    [{ code: "ECONNRESET" }, "NETWORK", true],
+    [{ reason: "EMPTY_RESPONSE" }, "EMPTY_RESPONSE", true],
+    [{ reason: "CONTENT_BLOCKED" }, "CONTENT_BLOCKED", false],
+    [new Error("boom"), "UNKNOWN", false],
+  ];
+  for (const [error, reason, retryable] of cases) {
+    assert.deepEqual(
+      { reason: classifyError(error).reason, retryable: classifyError(error).retryable },
+      { reason, retryable }
+    );
+  }
+});
+
+test("errorForReason gives clients a stable code and message", () => {
+  const error = errorForReason("RATE_LIMITED", { detail: "key 1 got 429" });
+  assert.ok(error instanceof GenerationError);
+  assert.equal(error.code, "QUOTA_EXHAUSTED");
+  assert.equal(error.detail, "key 1 got 429");
+  assert.equal(errorForReason("SOMETHING_NEW").code, "GENERATION_FAILED");
+});
@@ -0,0 +1,89 @@
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+// Trending gallery feed: items ranked by a time-decayed engagement score,
+//   score = (likes * likeWeight + views * viewWeight) / (ageHours + 2) ^ gravity
+// computed in MongoDB and cached in memory between periodic refreshes.
+const DEFAULT_TRENDING_OPTIONS = {
+  refreshMs: config.trending.refreshMs,
+  windowDays: config.trending.windowDays, // Older items never trend
+  size: 100, // Items kept in the cache
+  likeWeight: 3,
+  viewWeight: 0.1,
+  gravity: 1.5,
+};
+
+function createTrendingFeed(GalleryItem, options = {}) {
+  const { refreshMs, windowDays, size, likeWeight, viewWeight, gravity } = {
+    ...DEFAULT_TRENDING_OPTIONS,
+    ...options,
+  };
+  let cache = null; // { items, computedAt }
+  let pending = null;
+  let timer = null;
+
+  async function compute() {
+    const now = new Date();
+    const hoursOld = { $divide: [{ $subtract: [now, "$createdAt"] }, 60 * 60 * 1000] };
+    const engagement = {
+      $add: [
+        { $multiply: [{ $ifNull: ["$likeCount", 0] }, likeWeight] },
+        { $multiply: [{ $ifNull: ["$viewCount", 0] }, viewWeight] },
+      ],
+    };
+
+    const items = await GalleryItem.aggregate([
+      {
+        $match: {
+          hidden: { $ne: true },
+          username: { $exists: true, $ne: null },
+          createdAt: { $gte: new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000) },
+          $or: [{ likeCount: { $gt: 0 } }, { viewCount: { $gt: 0 } }],
+        },
+      },
+      { $addFields: { trendingScore: { $divide: [engagement, { $pow: [{ $add: [hoursOld, 2] }, gravity] }] } } },
+      { $sort: { trendingScore: -1, id: -1 } },
+      { $limit: size },
+    ]);
+    cache = { items, computedAt: now };
+    return cache;
+  }
+
+  // Recompute once even when several callers ask at the same time
+  function refresh() {
+    if (!pending) {
+      pending = compute().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  // Cached feed, computed on first use or after invalidate()
+  async function get(limit = 20) {
+    const { items, computedAt } = cache || (await refresh());
+    return { items: items.slice(0, limit), computedAt };
+  }
+
+  // Drop the cache, e.g. after an item was hidden or deleted
+  function invalidate() {
+    cache = null;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      refresh().catch((err) => logger.error("Trending refresh failed", { err }));
+    }, refreshMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { get, refresh, invalidate, start, stop };
+}
+
+module.exports = { DEFAULT_TRENDING_OPTIONS, createTrendingFeed };
@@ -0,0 +1,175 @@
+// Declarative validation for request bodies.
+//
+// A schema maps field names to rules:
+//   type        "string" | "number" | "boolean" | "array" | "object", or an array of those
+//   required    reject when missing or empty
+//   minLength / maxLength   string length (after trimming)
+//   enum        allowed values; strings match case-insensitively and are normalized to the listed spelling
+//   format      "color" (hex like #1a2b3c / #abc, or a CSS color name)
+//   pattern     RegExp the string must match, with `patternMessage` describing it
+//   integer / minimum / maximum   number rules
+//   sanitize    strip prompt-injection style content from strings before other checks
+//   minItems / maxItems / items   array rules, `items` being a rule applied to every element
+//   properties  schema for the keys of an object (unknown keys are dropped)
+//   description free text shown by GET /api/styles
+
+const CSS_COLOR_NAMES = new Set(
+  (
+    "aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue blueviolet brown " +
+    "burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan " +
+    "darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta darkolivegreen darkorange darkorchid " +
+    "darkred darksalmon darkseagreen darkslateblue darkslategray darkslategrey darkturquoise darkviolet " +
+    "deeppink deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro " +
+    "ghostwhite gold goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki " +
+    "lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan lightgoldenrodyellow " +
+    "lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen lightskyblue lightslategray " +
+    "lightslategrey lightsteelblue lightyellow lime limegreen linen magenta maroon mediumaquamarine " +
+    "mediumblue mediumorchid mediumpurple mediumseagreen mediumslateblue mediumspringgreen " +
+    "mediumturquoise mediumvioletred midnightblue mintcream mistyrose moccasin navajowhite navy oldlace " +
+    "olive olivedrab orange orangered orchid palegoldenrod palegreen paleturquoise palevioletred " +
+    "papayawhip peachpuff peru pink plum powderblue purple rebeccapurple red rosybrown royalblue " +
+    "saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue slateblue slategray slategrey " +
+    "snow springgreen steelblue tan teal thistle tomato turquoise violet wheat white whitesmoke yellow " +
+    "yellowgreen"
+  ).split(" ")
+);
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function isColor(value) {
+  return HEX_COLOR_PATTERN.test(value) || CSS_COLOR_NAMES.has(value.toLowerCase().replace(/\s+/g, ""));
+}
+
+// Phrases used to hijack the prompt ("ignore previous instructions", fake role markers, ...)
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b[^.]{0,40}\b(instructions?|prompts?|rules?|above|previous|prior)\b/gi,
+  /\b(system|assistant|user)\s*:/gi,
+  /<\/?[a-z][^>]*>/gi, // HTML/XML-ish tags
+];
+
+// Strip prompt-injection style content from user text that is interpolated into a prompt.
+// Patterns run before the character strip, which would otherwise remove the `<` and `>` of tags.
+function sanitizeText(value) {
+  let text = value.replace(/[\u0000-\u001f\u007f]+/g, " "); // control characters and newlines
+  for (const pattern of INJECTION_PATTERNS) {
+    text = text.replace(pattern, " ");
+  }
+  return text
+    .replace(/[`{}\\[\]<>"]/g, "") // characters that break out of quoted prompt sections
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+// Validate one value against a rule; push failures onto `errors` and return the cleaned value
+function validateValue(rule, value, field, errors) {
+  const types = [].concat(rule.type || []);
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    errors.push({ field, message: `${field} must be of type ${types.join(" or ")}.` });
+    return undefined;
+  }
+
+  if (typeof value === "string") {
+    value = rule.sanitize ? sanitizeText(value) : value.trim();
+
+    if (rule.required && value === "") {
+      errors.push({ field, message: `${field} is required.` });
+      return undefined;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ field, message: `${field} must be at least ${rule.minLength} characters.` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field, message: `${field} must be at most ${rule.maxLength} characters.` });
+    }
+    if (rule.format === "color" && !isColor(value)) {
+      errors.push({ field, message: `${field} must be a hex color (e.g. #ff8800) or a CSS color name.` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: `${field} ${rule.patternMessage || "has an invalid format."}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.integer && !Number.isInteger(value)) {
+      errors.push({ field, message: `${field} must be an integer.` });
+    }
+    if (rule.minimum !== undefined && value < rule.minimum) {
+      errors.push({ field, message: `${field} must be at least ${rule.minimum}.` });
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+      errors.push({ field, message: `${field} must be at most ${rule.maximum}.` });
+    }
+  }
+
+  if (rule.enum) {
+    const match = rule.enum.find((option) =>
+      typeof option === "string" && typeof value === "string"
+        ? option.toLowerCase() === value.toLowerCase()
+        : option === value
+    );
+    if (match === undefined) {
+      errors.push({ field, message: `${field} must be one of: ${rule.enum.join(", ")}.` });
+    } else {
+      value = match;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push({ field, message: `${field} must contain at least ${rule.minItems} item(s).` });
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push({ field, message: `${field} must contain at most ${rule.maxItems} item(s).` });
+    }
+    if (rule.items) {
+      value = value.map((item, index) => validateValue(rule.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object" && rule.properties) {
+    value = validateObject(rule.properties, value, `${field}.`, errors);
+  }
+
+  return value;
+}
+
+function validateObject(schema, body, prefix, errors) {
+  const value = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    const raw = body?.[name];
+    if (isEmpty(raw)) {
+      if (rule.required) errors.push({ field, message: `${field} is required.` });
+      continue;
+    }
+    const cleaned = validateValue(rule, raw, field, errors);
+    if (cleaned !== undefined) value[name] = cleaned;
+  }
+  return value;
+}
+
+// Validate a request body against a schema.
+// Returns { value, errors } where `value` holds only declared fields, cleaned and normalized,
+// and `errors` lists every failing field as { field, message }.
+function validateInput(schema, body) {
+  const errors = [];
+  const value = validateObject(schema, body || {}, "", errors);
+  return { value, errors };
+}
+
+// Standard 400 body for validation failures
+function validationErrorResponse(errors) {
+  return { error: "Invalid request body.", code: "VALIDATION_FAILED", fields: errors };
+}
+
+module.exports = { validateInput, validationErrorResponse, sanitizeText, isColor };
@@ -0,0 +1,54 @@
+const sharp = require("sharp");
+
+const CONTENT_TYPES = { png: "image/png", webp: "image/webp", avif: "image/avif" };
+
+// Named output variants derived from every watermarked avatar.
+// `size` null keeps the source resolution; `circle` crops to a circle with transparent corners.
+const VARIANTS = [
+  { name: "original", size: null, format: "png" },
+  { name: "400", size: 400, format: "png" }, // X/Twitter
+  { name: "128", size: 128, format: "png" }, // Discord / Telegram
+  { name: "48", size: 48, format: "png" }, // favicon
+  { name: "webp", size: null, format: "webp" },
+  { name: "avif", size: null, format: "avif" },
+  { name: "circle", size: 400, format: "png", circle: true },
+];
+
+function circleMask(size) {
+  const radius = size / 2;
+  return Buffer.from(
+    `<svg width="${size}" height="${size}"><circle cx="${radius}" cy="${radius}" r="${radius}" fill="#fff"/></svg>`
+  );
+}
+
+async function renderVariant(source, variant) {
+  let pipeline = sharp(source);
+  if (variant.size) {
+    pipeline = pipeline.resize(variant.size, variant.size, { fit: "cover" });
+  }
+  if (variant.circle) {
+    const resized = await pipeline.png().toBuffer();
+    pipeline = sharp(resized).ensureAlpha().composite([{ input: circleMask(variant.size), blend: "dest-in" }]);
+  }
+  pipeline = pipeline[variant.format]();
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return { ...variant, buffer: data, width: info.width, height: info.height };
+}
+
+// Render every variant of a watermarked image Buffer
+function renderVariants(source) {
+  return Promise.all(VARIANTS.map((variant) => renderVariant(source, variant)));
+}
+
+// Find a stored variant by ?size= (original, 400, 128, 48, circle) and ?format= (png, webp, avif)
+function findVariant(variants, { size = "original", format = "png" }) {
+  if (!variants) return null;
+  const match = Object.entries(variants).find(([name, variant]) => {
+    const sizeName = variant.circle ? "circle" : variant.size ? String(variant.size) : "original";
+    return sizeName === String(size) && variant.format === format;
+  });
+  return match ? { name: match[0], ...match[1] } : null;
+}
+
+module.exports = { VARIANTS, CONTENT_TYPES, renderVariants, findVariant };
@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { config } = require("./config");
+
+const PLACEMENTS = ["top-left", "top-right", "bottom-left", "bottom-right", "center", "tiled"];
+
+// Built-in watermark profiles; "default" takes its logo and sizes from the WATERMARK_* settings.
+// Sizes are relative to the image width so they hold at any resolution.
+//   logo        image file (relative to the project root) or null for no logo
+//   placement   one of PLACEMENTS
+//   scale       logo width as a share of the image width, capped at maxWidth pixels
+//   opacity     0..1, applied to the logo's alpha channel
+//   margin      distance from the edges in pixels (also the gap between tiles)
+//   text        optional rendered text: { content, font, size, color, stroke, strokeWidth, placement, opacity }
+const BUILT_IN_PROFILES = {
+  default: {
+    logo: config.watermark.logo,
+    placement: "top-right",
+    scale: config.watermark.scale,
+    maxWidth: config.watermark.maxWidth,
+    opacity: config.watermark.opacity,
+    margin: config.watermark.margin,
+    text: null,
+  },
+  zule: {
+    extends: "default",
+  },
+  milady: {
+    extends: "default",
+    text: {
+      content: "MAKER.REMILIA.ORG",
+      font: "monospace",
+      size: 0.035,
+      color: "#ffffff",
+      stroke: "#000000",
+      strokeWidth: 2,
+      placement: "bottom-right",
+      opacity: 0.85,
+    },
+  },
+};
+
+// Extra or overriding profiles from a JSON file (WATERMARK_PROFILES_FILE)
+function loadProfileFile(file) {
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+const profiles = { ...BUILT_IN_PROFILES, ...loadProfileFile(config.watermark.profilesFile) };
+
+// Resolve a profile by name, following `extends` chains
+function getProfile(name = "default") {
+  const profile = profiles[name];
+  if (!profile) throw new Error(`Unknown watermark profile "${name}".`);
+
+  const { extends: parent, ...own } = profile;
+  const resolved = parent ? { ...getProfile(parent), ...own } : { ...own };
+  if (!PLACEMENTS.includes(resolved.placement)) {
+    throw new Error(`Watermark profile "${name}" has invalid placement "${resolved.placement}".`);
+  }
+  return resolved;
+}
+
+function listProfiles() {
+  return Object.keys(profiles);
+}
+
+function resolveLogoPath(profile) {
+  if (!profile.logo) return null;
+  return path.isAbsolute(profile.logo) ? profile.logo : path.join(__dirname, profile.logo);
+}
+
+// Top/left offsets of an overlay for a corner or center placement
+function position(placement, image, overlay, margin) {
+  const right = Math.max(0, image.width - overlay.width - margin);
+  const bottom = Math.max(0, image.height - overlay.height - margin);
+  switch (placement) {
+    case "top-left":
+      return { top: margin, left: margin };
+    case "bottom-left":
+      return { top: bottom, left: margin };
+    case "bottom-right":
+      return { top: bottom, left: right };
+    case "center":
+      return {
+        top: Math.round((image.height - overlay.height) / 2),
+        left: Math.round((image.width - overlay.width) / 2),
+      };
+    default:
+      return { top: margin, left: right };
+  }
+}
+
+// Scale every pixel's alpha by `opacity` (sharp's composite has no opacity option)
+function withOpacity(pipeline, opacity) {
+  if (opacity >= 1) return pipeline;
+  return pipeline.ensureAlpha().composite([
+    {
+      input: Buffer.from([255, 255, 255, Math.round(255 * opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: "dest-in",
+    },
+  ]);
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+async function logoLayer(profile, image) {
+  const logoPath = resolveLogoPath(profile);
+  const logoMetadata = await sharp(logoPath).metadata();
+  const width = Math.max(1, Math.min(Math.round(image.width * profile.scale), profile.maxWidth || Infinity));
+  const height = Math.max(1, Math.round((width / logoMetadata.width) * logoMetadata.height));
+
+  let logo = sharp(logoPath).resize(width, height, {
+    fit: "contain",
+    background: { r: 0, g: 0, b: 0, alpha: 0 },
+  });
+
+  if (profile.placement === "tiled") {
+    // Transparent padding spaces the tiles out
+    const gap = Math.round(profile.margin / 2);
+    logo = logo.extend({ top: gap, bottom: gap, left: gap, right: gap, background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    const input = await withOpacity(sharp(await logo.png().toBuffer()), profile.opacity).png().toBuffer();
+    return { input, tile: true, gravity: "northwest", blend: "over" };
+  }
+
+  const input = await withOpacity(sharp(await logo.png().toBuffer()), profile.opacity).png().toBuffer();
+  return { input, ...position(profile.placement, image, { width, height }, profile.margin), blend: "over" };
+}
+
+async function textLayer(text, profile, image) {
+  const fontSize = Math.max(8, Math.round(image.width * (text.size || 0.035)));
+  const strokeWidth = text.strokeWidth || 0;
+  // Rough text box; monospace and sans fonts average about 0.6em per character
+  const width = Math.min(image.width, Math.ceil(text.content.length * fontSize * 0.62) + strokeWidth * 2);
+  const height = Math.ceil(fontSize * 1.3) + strokeWidth * 2;
+
+  const svg = `
+<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle"
+        font-family="${escapeXml(text.font || "sans-serif")}" font-size="${fontSize}" font-weight="bold"
+        fill="${escapeXml(text.color || "#ffffff")}" fill-opacity="${text.opacity ?? 1}"
+        stroke="${escapeXml(text.stroke || "none")}" stroke-width="${strokeWidth}"
+        stroke-opacity="${text.opacity ?? 1}" paint-order="stroke">${escapeXml(text.content)}</text>
+</svg>`;
+
+  const input = await sharp(Buffer.from(svg)).png().toBuffer();
+  const placement = text.placement || "bottom-right";
+  if (placement === "tiled") {
+    return { input, tile: true, gravity: "northwest", blend: "over" };
+  }
+  return { input, ...position(placement, image, { width, height }, profile.margin), blend: "over" };
+}
+
+// Apply a watermark profile to an image (path or Buffer) and resolve with the PNG Buffer
+async function renderWatermark(input, profile) {
+  const image = sharp(input);
+  const { width, height } = await image.metadata();
+
+  const layers = [];
+  if (profile.logo) layers.push(await logoLayer(profile, { width, height }));
+  if (profile.text?.content) layers.push(await textLayer(profile.text, profile, { width, height }));
+
+  return image.composite(layers).png().toBuffer();
+}
+
+// Neutral sample image for previews
+function sampleImage(size = 1024) {
+  return sharp({
+    create: { width: size, height: size, channels: 3, background: { r: 92, g: 239, b: 255 } },
+  })
+    .png()
+    .toBuffer();
+}
+
+module.exports = { PLACEMENTS, getProfile, listProfiles, resolveLogoPath, renderWatermark, sampleImage };